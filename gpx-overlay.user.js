@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Topptur GPX Overlay
 // @namespace    https://github.com/randonee-overlay
-// @version      1.7.0
+// @version      1.32.0
 // @description  Overlay GPX tracks on the topptur.guide Leaflet map
 // @match        https://topptur.guide/*
 // @run-at       document-idle
@@ -14,22 +14,40 @@
   'use strict';
 
   // ── Configuration ─────────────────────────────────────────────────
-  const TRACK_WEIGHT = 4;
-  const TRACK_OPACITY = 0.85;
+  // `let` values are defaults that the ⚙ Settings dialog can override per browser
+  let TRACK_WEIGHT = 4;
+  let TRACK_OPACITY = 0.85;
   // Avoid red, blue, green, black — those are used by the site's own overlays
   const COLORS = ['#ff9900', '#9933cc', '#cc0066', '#e6b800', '#00b3b3', '#8b4513', '#ff6699', '#7b68ee'];
+  // With friends' sources configured each person gets a color family instead, ours first
+  const SOURCE_PALETTES = [
+    ['#ff9900', '#e6b800', '#cc7a00', '#ffb84d'], // orange/yellow
+    ['#9933cc', '#7b68ee', '#b366ff', '#5a4fcf'], // violet
+    ['#00b3b3', '#008080', '#33cccc', '#006666'], // teal
+    ['#cc0066', '#ff6699', '#99004d', '#e6739f'], // pink
+    ['#8b4513', '#a0522d', '#cd853f', '#6b3410'], // brown
+  ];
 
   // Remote URL (GitHub Pages). Set to null to disable.
-  const REMOTE_URL = 'https://janthemanheier.github.io/randonee-overlay';
+  let REMOTE_URL = 'https://janthemanheier.github.io/randonee-overlay';
   // Local dev server URL (node serve.js). Set to null to disable.
-  const DEV_SERVER = 'http://localhost:3456';
+  let DEV_SERVER = 'http://localhost:3456';
+  // Friends' sites (same layout: track-summaries.json + tracks/) loaded next to ours: [{ name, url }]
+  let FRIEND_SOURCES = [];
 
-  const ELE_THRESHOLD = 2;   // meters — ignore elevation changes below this (GPS noise)
-  const STOP_SPEED = 0.5;    // km/h — below this, consider stopped
+  let ELE_THRESHOLD = 2;     // meters — ignore elevation changes below this (GPS noise)
+  let STOP_SPEED = 0.5;      // km/h — below this, consider stopped
   const MIN_POINTS = 10;     // tracks with fewer points are flagged as incomplete
   const MAX_SEGMENT_JUMP = 2; // km — ignore segments longer than this (GPS glitch)
   const MAX_ELE_JUMP = 200;  // meters — ignore elevation jumps larger than this per segment
-  const RECENT_SEASONS = 2;  // load GPX for current + previous season; older tracks load on demand
+  let RECENT_SEASONS = 2;    // load GPX for current + previous season; older tracks load on demand
+  const LOAD_CONCURRENCY = 4;      // GPX files fetched in parallel
+  const LOAD_RETRIES = 2;          // extra attempts per file after a network or server error
+  const LOAD_RETRY_BASE_MS = 1000; // backoff before the first retry, doubled for each further one
+  const SMOOTH_WINDOW = 10;  // points — elevation moving average for slope grading (as in analyze-descents.js)
+  const CHUNK_DIST_M = 50;   // meters — horizontal resolution for slope/speed grading
+  const MATCH_RADIUS_KM = 1.5;     // start points closer than this belong to the same tour (as in recommend.html)
+  const MATCH_ELE_TOLERANCE = 150; // meters — max elevation difference for the same tour
 
   // ── Embedded tracks (fallback when dev server is not running) ─────
   // Auto-generated by: node scripts/convert-gpx.js
@@ -38,55 +56,333 @@
   console.log('[GPX Overlay] Script loaded, waiting for map...');
 
   // ── Track state ───────────────────────────────────────────────────
-  const tracks = [];  // { layer, name, date, color, visible, stats, gpxLoaded, filename }
-  let colorIndex = 0;
+  const tracks = [];  // { layer, polyline, markers, name, date, color, visible, stats, points, gpxLoaded, filename, sourceId, baseUrl }
   let mapRef = null;
   let leafletRef = null;
+  let overlayRenderer = null;      // shared canvas renderer for every vector layer we draw
   let selectedTrack = null;
   let detailPanelEl = null;
   let profileOverlayEl = null;
-  let _activeBaseUrl = null;       // base URL currently serving tracks
+  let statsSource = null;          // whose tracks the Stats overlay shows (null = ours, else a friend's name)
+  let _activeBaseUrl = null;       // base URL currently serving our own tracks (and the data files)
   let olderTracksLoaded = false;   // true once all older GPX have been fetched
   let loadingOlderTracks = false;  // true while batch-loading older GPX
+  let loadQueue = [];              // { track, resolve } waiting for a loader worker
+  let activeLoads = 0;             // loader workers currently running
+  let loadProgress = null;         // { done, total } while any GPX batch is loading
+  const failedTracks = new Set();  // placeholders whose GPX could not be loaded
 
   // ── IndexedDB cache ─────────────────────────────────────────────
   const DB_NAME = 'gpx-overlay-cache';
-  const DB_STORE = 'gpx-tracks';
+  const DB_STORE = 'gpx-tracks';  // fetched GPX, keyed by trackKey (the filename for our own tracks)
+  const DB_UPLOADS = 'uploads';   // user-added files, keyed by upload id
+  const DB_ROUTES = 'routes';     // planned routes, keyed by route id
+  const CACHE_VERSION = 2;        // bump when parseGpx or the cached entry shape changes
   let _dbPromise = null;
 
   function openCache() {
     if (_dbPromise) return _dbPromise;
     _dbPromise = new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, 1);
-      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      const req = indexedDB.open(DB_NAME, 3);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(DB_STORE)) db.createObjectStore(DB_STORE);
+        if (!db.objectStoreNames.contains(DB_UPLOADS)) db.createObjectStore(DB_UPLOADS);
+        if (!db.objectStoreNames.contains(DB_ROUTES)) db.createObjectStore(DB_ROUTES);
+      };
       req.onsuccess = () => resolve(req.result);
       req.onerror = () => { _dbPromise = null; reject(req.error); };
     });
     return _dbPromise;
   }
 
-  async function getCached(filename) {
+  async function getCached(key) {
     try {
       const db = await openCache();
       return new Promise((resolve) => {
         const tx = db.transaction(DB_STORE, 'readonly');
-        const req = tx.objectStore(DB_STORE).get(filename);
+        const req = tx.objectStore(DB_STORE).get(key);
         req.onsuccess = () => resolve(req.result || null);
         req.onerror = () => resolve(null);
       });
     } catch { return null; }
   }
 
-  async function putCache(filename, data) {
+  async function putCache(key, data) {
     try {
       const db = await openCache();
       const tx = db.transaction(DB_STORE, 'readwrite');
-      tx.objectStore(DB_STORE).put(data, filename);
+      tx.objectStore(DB_STORE).put(data, key);
     } catch { /* cache write failure is non-fatal */ }
   }
 
-  function nextColor() {
-    return COLORS[colorIndex++ % COLORS.length];
+  // All cached GPX entries as [filename, entry] pairs
+  async function getAllCached() {
+    try {
+      const db = await openCache();
+      return new Promise((resolve) => {
+        const store = db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE);
+        const keysReq = store.getAllKeys();
+        const valuesReq = store.getAll();
+        valuesReq.onsuccess = () => resolve(keysReq.result.map((k, i) => [k, valuesReq.result[i]]));
+        valuesReq.onerror = () => resolve([]);
+      });
+    } catch { return []; }
+  }
+
+  async function clearCache() {
+    try {
+      const db = await openCache();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(DB_STORE, 'readwrite');
+        tx.objectStore(DB_STORE).clear();
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (err) {
+      console.warn(`[GPX Overlay] Could not clear cache: ${err.message}`);
+    }
+  }
+
+  // A cache entry is usable when it was written by the current parser from the same source file
+  // (hash from track-summaries.json). Entries holding user edits survive parser upgrades, but
+  // not a changed source file.
+  function isCacheFresh(entry, track) {
+    const sameSource = !track.hash || entry.hash === track.hash;
+    if (entry.original) return sameSource || !entry.hash;
+    return entry.version === CACHE_VERSION && sameSource;
+  }
+
+  // Resolves once a readwrite transaction has committed, rejects if it fails or is aborted
+  function txComplete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+    });
+  }
+
+  async function getUpload(id) {
+    try {
+      const db = await openCache();
+      return new Promise((resolve) => {
+        const req = db.transaction(DB_UPLOADS, 'readonly').objectStore(DB_UPLOADS).get(id);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => resolve(null);
+      });
+    } catch { return null; }
+  }
+
+  async function getAllUploads() {
+    try {
+      const db = await openCache();
+      return new Promise((resolve) => {
+        const req = db.transaction(DB_UPLOADS, 'readonly').objectStore(DB_UPLOADS).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => resolve([]);
+      });
+    } catch { return []; }
+  }
+
+  async function putUpload(record) {
+    try {
+      const db = await openCache();
+      const tx = db.transaction(DB_UPLOADS, 'readwrite');
+      tx.objectStore(DB_UPLOADS).put(record, record.id);
+      await txComplete(tx);
+    } catch (err) {
+      console.warn(`[GPX Overlay] Could not store upload "${record.name}": ${err.message}`);
+    }
+  }
+
+  function newUploadId() {
+    return `upload-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async function deleteUpload(id) {
+    try {
+      const db = await openCache();
+      const tx = db.transaction(DB_UPLOADS, 'readwrite');
+      tx.objectStore(DB_UPLOADS).delete(id);
+      await txComplete(tx);
+    } catch (err) {
+      console.warn(`[GPX Overlay] Could not delete upload ${id}: ${err.message}`);
+    }
+  }
+
+  async function getRoute(id) {
+    try {
+      const db = await openCache();
+      return new Promise((resolve) => {
+        const req = db.transaction(DB_ROUTES, 'readonly').objectStore(DB_ROUTES).get(id);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => resolve(null);
+      });
+    } catch { return null; }
+  }
+
+  async function getAllRoutes() {
+    try {
+      const db = await openCache();
+      return new Promise((resolve) => {
+        const req = db.transaction(DB_ROUTES, 'readonly').objectStore(DB_ROUTES).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => resolve([]);
+      });
+    } catch { return []; }
+  }
+
+  async function putRoute(record) {
+    try {
+      const db = await openCache();
+      const tx = db.transaction(DB_ROUTES, 'readwrite');
+      tx.objectStore(DB_ROUTES).put(record, record.id);
+      await txComplete(tx);
+    } catch (err) {
+      console.warn(`[GPX Overlay] Could not store route "${record.name}": ${err.message}`);
+    }
+  }
+
+  async function deleteRoute(id) {
+    try {
+      const db = await openCache();
+      const tx = db.transaction(DB_ROUTES, 'readwrite');
+      tx.objectStore(DB_ROUTES).delete(id);
+      await txComplete(tx);
+    } catch (err) {
+      console.warn(`[GPX Overlay] Could not delete route ${id}: ${err.message}`);
+    }
+  }
+
+  // Stable color per track, so the palette doesn't depend on load order
+  function colorForKey(key, palette = COLORS) {
+    let h = 0;
+    for (let i = 0; i < key.length; i++) h = (h * 31 + key.charCodeAt(i)) | 0;
+    return palette[Math.abs(h) % palette.length];
+  }
+
+  // Color family for a track source (null = our own tracks)
+  function sourcePalette(sourceId) {
+    if (!FRIEND_SOURCES.length) return COLORS;
+    const i = sourceId ? FRIEND_SOURCES.findIndex(s => s.name === sourceId) + 1 : 0;
+    return SOURCE_PALETTES[i % SOURCE_PALETTES.length];
+  }
+
+  // Tracks from one source: ours (uploads and routes included) by default, or a friend's by name
+  function sourceTracks(sourceId = null) {
+    return tracks.filter(t => (t.sourceId || null) === sourceId);
+  }
+
+  // ── Persisted state & deep links ──────────────────────────────────
+  const STATE_KEY = 'gpx-overlay-state';
+  const LINK_PARAM_TRACKS = 'gpx'; // #zoom/lat/lon&gpx=a.gpx,b.gpx&sel=a.gpx
+  const LINK_PARAM_SELECTED = 'sel';
+  let restoreState = null;  // { visible: Set, selected } applied as tracks appear; null once loading settles
+  let saveStateTimer = null;
+
+  // Stable identity for persistence and links
+  function trackKey(t) {
+    if (t.routeId) return t.routeId;
+    if (t.uploadId) return t.uploadId;
+    if (t.filename) return t.sourceId ? `${t.sourceId}/${t.filename}` : t.filename;
+    const iso = t.date && !isNaN(t.date.getTime()) ? t.date.toISOString() : '';
+    return `${t.name}|${iso}`;
+  }
+
+  // Saved localStorage state, overridden by a shared link in the URL hash
+  function readSavedState() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+    } catch { saved = {}; }
+    const link = parseLinkHash();
+    if (link) {
+      saved.visible = link.tracks;
+      saved.selected = link.selected;
+    }
+    return saved;
+  }
+
+  function parseLinkHash() {
+    const hash = window.location.hash;
+    const idx = hash.indexOf('&');
+    if (idx < 0) return null;
+    const params = new URLSearchParams(hash.slice(idx + 1));
+    const list = params.get(LINK_PARAM_TRACKS);
+    if (!list) return null;
+    // Drop our params so topptur.guide keeps managing its own #zoom/lat/lon
+    history.replaceState(null, '', hash.slice(0, idx) || window.location.pathname + window.location.search);
+    return { tracks: list.split(',').filter(Boolean), selected: params.get(LINK_PARAM_SELECTED) };
+  }
+
+  function buildShareLink(list, selected) {
+    const c = mapRef.getCenter();
+    const params = new URLSearchParams();
+    params.set(LINK_PARAM_TRACKS, list.map(trackKey).join(','));
+    if (selected) params.set(LINK_PARAM_SELECTED, trackKey(selected));
+    return `${window.location.origin}${window.location.pathname}` +
+      `#${mapRef.getZoom()}/${c.lat.toFixed(4)}/${c.lng.toFixed(4)}&${params}`;
+  }
+
+  function copyShareLink(btn) {
+    const list = tracks.filter(t => t.visible);
+    if (selectedTrack && !list.includes(selectedTrack)) list.push(selectedTrack);
+    const link = buildShareLink(list, selectedTrack);
+    const done = () => {
+      const label = btn.innerHTML;
+      btn.textContent = 'Copied!';
+      setTimeout(() => { btn.innerHTML = label; }, 1500);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(done, () => window.prompt('Copy link', link));
+    } else {
+      window.prompt('Copy link', link);
+    }
+  }
+
+  // Show/select a newly registered or loaded track if saved state asks for it
+  function applyRestoredState(track) {
+    if (!restoreState) return;
+    const key = trackKey(track);
+    if (restoreState.visible.has(key)) {
+      if (track.layer) {
+        track._restoreShow = false;
+        if (!track.visible) {
+          track.visible = true;
+          track.layer.addTo(mapRef);
+        }
+      } else {
+        track._restoreShow = true;
+      }
+    }
+    if (restoreState.selected === key && track.gpxLoaded) {
+      restoreState.selected = null;
+      expandedSeasons.add(listGroupForTrack(track));
+      showTrackDetail(track);
+    }
+  }
+
+  function saveState() {
+    const visible = new Set(tracks.filter(t => t.visible || t._restoreShow).map(trackKey));
+    let selected = selectedTrack ? trackKey(selectedTrack) : null;
+    if (restoreState) {
+      // Keep entries for tracks that haven't been registered yet
+      const known = new Set(tracks.map(trackKey));
+      restoreState.visible.forEach(k => { if (!known.has(k)) visible.add(k); });
+      if (!selected) selected = restoreState.selected;
+    }
+    try {
+      localStorage.setItem(STATE_KEY, JSON.stringify({
+        visible: [...visible],
+        expandedSeasons: [...expandedSeasons],
+        selected,
+        panelMinimized,
+      }));
+    } catch { /* storage full or disabled — state just won't persist */ }
+  }
+
+  function scheduleSaveState() {
+    clearTimeout(saveStateTimer);
+    saveStateTimer = setTimeout(saveState, 300);
   }
 
   // ── Safe map discovery ────────────────────────────────────────────
@@ -146,11 +442,25 @@
   function onMapReady(L, map) {
     leafletRef = L;
     mapRef = map;
+    applySettings(readSettings());
+    overlayRenderer = L.canvas({ padding: 0.5, tolerance: 4 });
+    map.on('zoomend', () => tracks.forEach(applyTrackLod));
+
+    const saved = readSavedState();
+    if (typeof saved.panelMinimized === 'boolean') panelMinimized = saved.panelMinimized;
+    (saved.expandedSeasons || []).forEach(s => expandedSeasons.add(s));
+    restoreState = { visible: new Set(saved.visible || []), selected: saved.selected || null };
 
     addUI(map);
-    loadTracksFromServer()
+    const serverTracks = loadTracksFromServer()
       .catch(() => loadTracksFromRemote())
       .catch(() => loadEmbeddedTracks());
+    Promise.all([serverTracks, loadFriendSources(), loadUploads(), loadRoutes()])
+      .finally(() => {
+        restoreState = null;
+        scheduleSaveState();
+        watchTourViews(); // already running unless our own summaries failed to load
+      });
   }
 
   // Load a single GPX file for a placeholder track (cache-first)
@@ -158,53 +468,72 @@
     if (track.gpxLoaded) return track;
 
     // Check IndexedDB cache first
-    const cached = await getCached(track.filename);
-    if (cached) {
+    const cached = await getCached(trackKey(track));
+    if (cached && isCacheFresh(cached, track)) {
       addTrack(cached.coords, cached.name || track.name, showOnMap, cached.date, cached.points, track);
+      failedTracks.delete(track);
       return track;
     }
-
-    // Fetch from network, parse, cache
-    const gpxRes = await fetch(`${baseUrl}/tracks/${track.filename}`);
-    if (!gpxRes.ok) throw new Error(`${gpxRes.status}`);
-    const gpxText = await gpxRes.text();
-    const { coords, points, name, date } = parseGpx(gpxText);
-    if (coords.length > 0) {
-      await putCache(track.filename, { coords, points, name, date });
-      addTrack(coords, name || track.name, showOnMap, date, points, track);
+    if (cached) {
+      console.log(`[GPX Overlay] Cached ${track.filename} is stale${cached.original ? ' (discarding local edits)' : ''}, refetching`);
     }
-    return track;
-  }
 
-  // Load a GPX from cache or network (for recent tracks without a placeholder)
-  async function loadTrackFile(baseUrl, filename, showOnMap) {
-    const cached = await getCached(filename);
-    if (cached) {
-      addTrack(cached.coords, cached.name || filename.replace(/\.gpx$/i, ''), showOnMap, cached.date, cached.points);
-      return;
+    // Fetch from network, parse, cache. Only network and server errors are worth retrying.
+    let gpxText;
+    try {
+      const gpxRes = await fetch(`${baseUrl}/tracks/${track.filename}`);
+      if (!gpxRes.ok) {
+        const err = new Error(`${gpxRes.status}`);
+        err.status = gpxRes.status;
+        err.retryable = gpxRes.status >= 500;
+        throw err;
+      }
+      gpxText = await gpxRes.text();
+    } catch (err) {
+      if (err.retryable === undefined) err.retryable = true;
+      throw err;
     }
-    const gpxRes = await fetch(`${baseUrl}/tracks/${filename}`);
-    if (!gpxRes.ok) return;
-    const gpxText = await gpxRes.text();
     const { coords, points, name, date } = parseGpx(gpxText);
-    if (coords.length > 0) {
-      await putCache(filename, { coords, points, name, date });
-      addTrack(coords, name || filename.replace(/\.gpx$/i, ''), showOnMap, date, points);
-    }
+    if (!coords.length) throw new Error('no track points in file');
+    await putCache(trackKey(track), { coords, points, name, date, version: CACHE_VERSION, hash: track.hash || null });
+    addTrack(coords, name || track.name, showOnMap, date, points, track);
+    failedTracks.delete(track);
+    return track;
   }
 
-  // Try loading tracks using track-summaries.json (seasonal + cached)
-  async function loadTracksFromUrl(baseUrl, label) {
-    _activeBaseUrl = baseUrl;
-
+  // Try loading tracks using track-summaries.json (seasonal + cached); `sourceId` names a friend's source
+  async function loadTracksFromUrl(baseUrl, label, sourceId = null) {
     const res = await fetch(`${baseUrl}/track-summaries.json`);
     if (!res.ok) throw new Error(`${label} track-summaries.json returned ${res.status}`);
     const allSummaries = await res.json();
     if (!allSummaries.length) throw new Error(`no tracks at ${label}`);
+    if (!sourceId) _activeBaseUrl = baseUrl;
+    // The friends list may have changed, or this source loaded already, while we were fetching
+    if (sourceId && (!FRIEND_SOURCES.some(s => s.name === sourceId && s.url === baseUrl) || sourceTracks(sourceId).length)) return;
 
     console.log(`[GPX Overlay] Loaded ${allSummaries.length} summaries from ${label}`);
 
-    // Classify by season
+    const recentSeasons = recentSeasonSet();
+
+    // Register every track as a placeholder (instant sidebar), then fetch recent ones
+    // plus any older ones that restored state or a shared link wants on the map
+    const placeholders = allSummaries.map(s => addPlaceholderTrack(s, baseUrl, sourceId));
+    scheduleTrailheadRefresh();
+    // Summaries carry the start point and top elevation, enough to match tours before any GPX loads
+    if (!sourceId) watchTourViews();
+    const toLoad = placeholders.filter(t => {
+      const season = getSeason(t.date);
+      return (season && recentSeasons.has(season)) || t._restoreShow ||
+        (restoreState && restoreState.selected === trackKey(t));
+    });
+
+    // Fetch (cache-first)
+    console.log(`[GPX Overlay] Fetching ${toLoad.length} recent GPX (${placeholders.length - toLoad.length} older deferred)`);
+    await loadTracksConcurrently(toLoad);
+  }
+
+  // The current season and the RECENT_SEASONS - 1 before it, as getSeason keys
+  function recentSeasonSet() {
     const now = new Date();
     const currentSeasonStart = now.getMonth() >= 9 ? now.getFullYear() : now.getFullYear() - 1;
     const recentSeasons = new Set();
@@ -212,24 +541,63 @@
       const sy = currentSeasonStart - i;
       recentSeasons.add(`${sy}/${String(sy + 1).slice(2)}`);
     }
+    return recentSeasons;
+  }
 
-    const recentSummaries = [];
-    const olderSummaries = [];
-    allSummaries.forEach(s => {
-      const d = s.date ? new Date(s.date) : null;
-      const season = getSeason(d);
-      if (season && recentSeasons.has(season)) recentSummaries.push(s);
-      else olderSummaries.push(s);
-    });
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Retry network and server errors with exponential backoff; 4xx responses and files that
+  // don't parse fail right away
+  async function loadWithRetry(track, baseUrl) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await loadGpxForTrack(track, baseUrl, false);
+      } catch (err) {
+        if (!err.retryable || attempt >= LOAD_RETRIES) throw err;
+        await delay(LOAD_RETRY_BASE_MS * 2 ** attempt);
+      }
+    }
+  }
 
-    // Register older tracks as placeholders (instant sidebar)
-    olderSummaries.forEach(s => addPlaceholderTrack(s));
+  // Queue placeholders on a shared pool of LOAD_CONCURRENCY workers; resolves when these are done
+  function loadTracksConcurrently(list) {
+    const pending = list.filter(t => !t.gpxLoaded && t.baseUrl);
+    if (!pending.length) return Promise.resolve();
+    const jobs = pending.map(track => new Promise(resolve => {
+      track._loading = true;
+      track._loadError = null;
+      failedTracks.delete(track);
+      loadQueue.push({ track, resolve });
+    }));
+    if (!loadProgress) loadProgress = { done: 0, total: 0 };
+    loadProgress.total += jobs.length;
     updateTrackList();
+    while (activeLoads < LOAD_CONCURRENCY && loadQueue.length) runLoadWorker();
+    return Promise.all(jobs);
+  }
 
-    // Fetch recent tracks (cache-first)
-    console.log(`[GPX Overlay] Fetching ${recentSummaries.length} recent GPX (${olderSummaries.length} older deferred)`);
-    for (const s of recentSummaries) {
-      await loadTrackFile(baseUrl, s.filename, false);
+  async function runLoadWorker() {
+    activeLoads++;
+    while (loadQueue.length) {
+      const { track, resolve } = loadQueue.shift();
+      try {
+        await loadWithRetry(track, track.baseUrl);
+      } catch (err) {
+        track._loadError = err.message;
+        failedTracks.add(track);
+        console.warn(`[GPX Overlay] Failed to load ${track.filename}: ${err.message}`);
+      }
+      track._loading = false;
+      loadProgress.done++;
+      resolve();
+      updateTrackList();
+    }
+    activeLoads--;
+    if (activeLoads === 0) {
+      loadProgress = null;
+      updateTrackList();
     }
   }
 
@@ -245,6 +613,38 @@
     return loadTracksFromUrl(REMOTE_URL, 'remote');
   }
 
+  // Friends' sources load alongside ours; one unreachable site doesn't hold up the others
+  function loadFriendSources(sources = FRIEND_SOURCES) {
+    return Promise.all(sources.map(source =>
+      loadTracksFromUrl(source.url, source.name, source.name).catch(err => {
+        console.warn(`[GPX Overlay] Could not load ${source.name}'s tracks:`, err.message);
+      })));
+  }
+
+  // A JSON file the repo scripts publish next to the tracks (e.g. topptur-tours.json);
+  // resolves to `fallback` when it is missing
+  function fetchDataFile(name, fallback) {
+    const baseUrl = _activeBaseUrl || REMOTE_URL;
+    if (!baseUrl) return Promise.resolve(fallback);
+    return fetch(`${baseUrl}/${name}`)
+      .then(res => {
+        if (!res.ok) throw new Error(`${name} returned ${res.status}`);
+        return res.json();
+      })
+      .catch(err => {
+        console.warn(`[GPX Overlay] ${name} unavailable:`, err.message);
+        return fallback;
+      });
+  }
+
+  // Tracks the user added by upload or drag-and-drop (stored in IndexedDB)
+  async function loadUploads() {
+    const uploads = await getAllUploads();
+    uploads.sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+    uploads.forEach(u => addTrack(u.coords, u.name, false, u.date, u.points, null, { uploadId: u.id }));
+    if (uploads.length) console.log(`[GPX Overlay] Restored ${uploads.length} upload(s)`);
+  }
+
   // Fallback: use embedded tracks
   function loadEmbeddedTracks() {
     if (EMBEDDED_TRACKS && EMBEDDED_TRACKS.length > 0) {
@@ -357,17 +757,18 @@
     return `${startYear}/${String(startYear + 1).slice(2)}`;
   }
 
-  function computeSeasonStats() {
+  function computeSeasonStats(list = sourceTracks()) {
     const seasons = {};
-    tracks.forEach(t => {
+    list.forEach(t => {
       const season = getSeason(t.date);
       if (!season) return;
       if (!seasons[season]) seasons[season] = {
-        trips: 0, elevGain: 0, distance: 0, movingTimeMs: 0,
+        trips: 0, elevGain: 0, distance: 0, movingTimeMs: 0, summaryTrips: 0,
         maxEles: [], elevGains: [],
       };
       const s = seasons[season];
       s.trips++;
+      if (t.stats && t.stats.fromSummary) s.summaryTrips++;
       if (t.stats && !t.stats.incomplete) {
         s.elevGain += t.stats.elevGain;
         s.distance += t.stats.distance;
@@ -387,31 +788,73 @@
     return seasons;
   }
 
+  // Overall pace across all seasons
+  function computeOverallPace(seasons = computeSeasonStats()) {
+    let vert = 0, dist = 0, movingMs = 0;
+    Object.values(seasons).forEach(s => {
+      vert += s.elevGain;
+      dist += s.distance;
+      movingMs += s.movingTimeMs;
+    });
+    const hours = movingMs / 3600000;
+    return {
+      vertPerHour: hours > 0 ? Math.round(vert / hours) : null,
+      kmPerHour: hours > 0 ? Math.round(dist / hours * 10) / 10 : null,
+    };
+  }
+
+  // Moving time for a trip at our usual pace, or null without enough history
+  function estimateMovingTimeMs(vert, dist, pace = computeOverallPace()) {
+    // Use the longer estimate (vert time vs distance time) since ascent is the bottleneck
+    const vertHours = pace.vertPerHour ? vert / pace.vertPerHour : 0;
+    const distHours = pace.kmPerHour ? dist / pace.kmPerHour : 0;
+    const hours = Math.max(vertHours, distHours);
+    return hours > 0 ? hours * 3600000 : null;
+  }
+
   // ── Track management ──────────────────────────────────────────────
-  function addTrack(coords, name, showOnMap = true, dateStr = null, points = null, existingTrack = null) {
+  // `extra` adds properties to a new track (e.g. { uploadId } or { routeId, waypoints })
+  function addTrack(coords, name, showOnMap = true, dateStr = null, points = null, existingTrack = null, extra = null) {
     const L = leafletRef;
     const map = mapRef;
     const latlngs = coords.map(c => L.latLng(c[0], c[1]));
 
-    const color = existingTrack ? existingTrack.color : nextColor();
+    const props = existingTrack || extra || {};
+    const color = existingTrack ? existingTrack.color : colorForKey(props.uploadId || props.routeId || name, sourcePalette(null));
     const polyline = L.polyline(latlngs, {
       color, weight: TRACK_WEIGHT, opacity: TRACK_OPACITY,
       lineJoin: 'round', lineCap: 'round',
+      dashArray: props.routeId ? ROUTE_DASH : null,
+      renderer: overlayRenderer,
     });
     const startMarker = L.circleMarker(latlngs[0], {
-      radius: 7, color: 'white', weight: 2, fillColor: '#00cc44', fillOpacity: 1,
+      radius: 7, color: 'white', weight: 2, fillColor: '#00cc44', fillOpacity: 1, renderer: overlayRenderer,
     });
     const endMarker = L.circleMarker(latlngs[latlngs.length - 1], {
-      radius: 7, color: 'white', weight: 2, fillColor: '#cc0000', fillOpacity: 1,
+      radius: 7, color: 'white', weight: 2, fillColor: '#cc0000', fillOpacity: 1, renderer: overlayRenderer,
     });
 
     const layer = L.featureGroup([polyline, startMarker, endMarker]);
+    // Keep start/end dots above whichever line (plain or graded) is drawn
+    layer.on('add', () => [startMarker, endMarker].forEach(m => { if (layer.hasLayer(m)) m.bringToFront(); }));
+    const lod = buildLodLevels(latlngs);
     const date = dateStr ? new Date(dateStr) : null;
     const stats = computeTrackStats(points);
 
     if (existingTrack) {
       // Upgrade a placeholder in-place
       existingTrack.layer = layer;
+      existingTrack.polyline = polyline;
+      existingTrack.points = points;
+      existingTrack.markers = [startMarker, endMarker];
+      existingTrack._line = polyline;
+      existingTrack._lod = lod;
+      bindTrackHover(existingTrack, polyline);
+      bindTrackSelect(existingTrack);
+      applyTrackColor(existingTrack);
+      existingTrack._heatPoints = null;
+      scheduleHeatmapRefresh();
+      scheduleTrailheadRefresh();
       if (date) existingTrack.date = date;
       if (stats) existingTrack.stats = stats;
       existingTrack.gpxLoaded = true;
@@ -420,20 +863,31 @@
         existingTrack.visible = true;
         layer.addTo(map);
       }
+      applyRestoredState(existingTrack);
       updateTrackList();
       return existingTrack;
     }
 
     if (showOnMap) layer.addTo(map);
-    const track = { layer, name, date, color, visible: showOnMap, stats, gpxLoaded: true, filename: null };
+    const track = {
+      layer, polyline, markers: [startMarker, endMarker], _line: polyline, _lod: lod,
+      name, date, color, visible: showOnMap, stats, points, gpxLoaded: true, filename: null,
+      ...extra,
+    };
+    bindTrackHover(track, polyline);
+    bindTrackSelect(track);
+    applyTrackColor(track);
+    scheduleHeatmapRefresh();
+    scheduleTrailheadRefresh();
     tracks.push(track);
+    applyRestoredState(track);
     updateTrackList();
     console.log(`[GPX Overlay] Added "${name}": ${coords.length} points (${color})${showOnMap ? '' : ' [hidden]'}${stats ? ` [${stats.distance}km, +${stats.elevGain}m]` : ''}`);
     return track;
   }
 
-  function addPlaceholderTrack(summary) {
-    const color = nextColor();
+  function addPlaceholderTrack(summary, baseUrl = null, sourceId = null) {
+    const color = colorForKey(summary.filename, sourcePalette(sourceId));
     const date = summary.date ? new Date(summary.date) : null;
     const stats = (summary.distance != null || summary.ascent != null)
       ? {
@@ -449,152 +903,3314 @@
           startTime: null,
           endTime: null,
           incomplete: false,
+          fromSummary: true,  // track-summaries.json numbers, not computeTrackStats with our settings
         }
       : null;
     const track = {
-      layer: null, name: summary.name || summary.filename.replace(/\.gpx$/i, ''),
-      date, color, visible: false, stats,
-      gpxLoaded: false, filename: summary.filename, _loading: false,
+      layer: null, polyline: null, markers: null, name: summary.name || summary.filename.replace(/\.gpx$/i, ''),
+      date, color, visible: false, stats, points: null,
+      gpxLoaded: false, filename: summary.filename, hash: summary.hash || null, _loading: false,
+      sourceId, baseUrl,
+      start: (summary.startLat != null && summary.startLon != null) ? [summary.startLat, summary.startLon] : null,
     };
     tracks.push(track);
+    applyRestoredState(track);
     return track;
   }
 
-  // ── GPX parser ────────────────────────────────────────────────────
-  function parseGpx(gpxText) {
-    const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
-    const coords = [];
-    const points = [];
-    doc.querySelectorAll('trkpt').forEach(pt => {
-      const lat = parseFloat(pt.getAttribute('lat'));
-      const lon = parseFloat(pt.getAttribute('lon'));
-      if (isNaN(lat) || isNaN(lon)) return;
-      coords.push([lat, lon]);
-      const eleEl = pt.querySelector('ele');
-      const timeEl = pt.querySelector('time');
-      points.push({
-        lat, lon,
-        ele: eleEl ? parseFloat(eleEl.textContent) : null,
-        time: timeEl ? new Date(timeEl.textContent).getTime() : null,
+  // ── Level of detail ───────────────────────────────────────────────
+  // Each track keeps a few Douglas-Peucker simplifications of its line; zoomend swaps in
+  // the coarsest one that is still under a pixel off (graded lines follow the same levels).
+  // Below LOD_MARKER_ZOOM only start dots are drawn. While the trailhead layer is on, its
+  // markers stand in for the start dots at every zoom (and for routes' too when collapsed).
+  const LOD_TOLERANCES_M = [0, 3, 10, 30, 100];  // level 0 is the full-resolution line
+  const LOD_PIXEL_TOLERANCE = 1;                 // screen pixels a simplified line may deviate
+  const LOD_MARKER_ZOOM = 10;                    // below this zoom tracks collapse to their start marker
+
+  // Douglas-Peucker keep-threshold per point: the point survives simplification at any
+  // tolerance (m) below its weight. One pass serves every level.
+  function simplificationWeights(latlngs) {
+    const n = latlngs.length;
+    const weights = new Float64Array(n);
+    weights[0] = weights[n - 1] = Infinity;
+    if (n < 3) return weights;
+    // Local equirectangular projection in meters — plenty for a single tour
+    const kx = 111320 * Math.cos(latlngs[0].lat * Math.PI / 180);
+    const ky = 110540;
+    const xs = latlngs.map(ll => ll.lng * kx);
+    const ys = latlngs.map(ll => ll.lat * ky);
+    const stack = [[0, n - 1, Infinity]];
+    while (stack.length) {
+      const [a, b, parentWeight] = stack.pop();
+      if (b - a < 2) continue;
+      const dx = xs[b] - xs[a], dy = ys[b] - ys[a];
+      const len2 = dx * dx + dy * dy;
+      let maxDist = -1, maxI = a + 1;
+      for (let i = a + 1; i < b; i++) {
+        let t = len2 > 0 ? ((xs[i] - xs[a]) * dx + (ys[i] - ys[a]) * dy) / len2 : 0;
+        t = Math.max(0, Math.min(1, t));
+        const d = Math.hypot(xs[i] - xs[a] - t * dx, ys[i] - ys[a] - t * dy);
+        if (d > maxDist) { maxDist = d; maxI = i; }
+      }
+      // A point can't outlive the split that exposed it
+      const w = Math.min(maxDist, parentWeight);
+      weights[maxI] = w;
+      stack.push([a, maxI, w], [maxI, b, w]);
+    }
+    return weights;
+  }
+
+  // `indices` lists which points of the full line each level keeps, so graded runs can be cut from it
+  function buildLodLevels(latlngs) {
+    const weights = simplificationWeights(latlngs);
+    const indices = LOD_TOLERANCES_M.map(tol => {
+      const kept = [];
+      for (let i = 0; i < latlngs.length; i++) if (tol === 0 || weights[i] > tol) kept.push(i);
+      return kept;
+    });
+    const levels = indices.map((kept, i) => i === 0 ? latlngs : kept.map(k => latlngs[k]));
+    return { levels, indices, level: 0 };
+  }
+
+  function lodLevelForZoom(zoom, lat) {
+    const metersPerPixel = 40075016.686 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom + 8);
+    const maxTol = metersPerPixel * LOD_PIXEL_TOLERANCE;
+    let level = 0;
+    LOD_TOLERANCES_M.forEach((tol, i) => { if (tol <= maxTol) level = i; });
+    return level;
+  }
+
+  function raiseTrackMarkers(track) {
+    track.markers.forEach(m => { if (track.layer.hasLayer(m)) m.bringToFront(); });
+  }
+
+  // Show the track's line at the detail level for the current zoom, or just its start dot
+  function applyTrackLod(track) {
+    if (!track.layer || !mapRef) return;
+    const zoom = mapRef.getZoom();
+    const collapsed = zoom < LOD_MARKER_ZOOM;
+    const [startMarker, endMarker] = track.markers;
+    const showStart = !trailheadLayer || (!collapsed && !trailheadTracks.has(track));
+    if (showStart !== track.layer.hasLayer(startMarker)) {
+      if (showStart) {
+        track.layer.addLayer(startMarker);
+        raiseTrackMarkers(track);
+      } else {
+        track.layer.removeLayer(startMarker);
+      }
+    }
+    if (collapsed === track.layer.hasLayer(track._line)) {
+      if (collapsed) {
+        track.layer.removeLayer(track._line);
+        track.layer.removeLayer(endMarker);
+      } else {
+        track.layer.addLayer(track._line);
+        track.layer.addLayer(endMarker);
+        raiseTrackMarkers(track);
+      }
+    }
+    const lod = track._lod;
+    if (collapsed || !lod) return;
+    const level = lodLevelForZoom(zoom, lod.levels[0][0].lat);
+    if (level !== lod.level) {
+      track.polyline.setLatLngs(lod.levels[level]);
+      lod.level = level;
+    }
+    if (track._graded && track._graded.level !== level) setGradedLevel(track, level);
+  }
+
+  // Simplify each graded run with the level's kept points; run ends always stay so runs still join
+  function setGradedLevel(track, level) {
+    const graded = track._graded;
+    const all = track._lod.levels[0];
+    const kept = track._lod.indices[level];
+    let k = 0;
+    graded.runs.forEach(run => {
+      const latlngs = [all[run.startI]];
+      while (k < kept.length && kept[k] <= run.startI) k++;
+      while (k < kept.length && kept[k] < run.endI) latlngs.push(all[kept[k++]]);
+      latlngs.push(all[run.endI]);
+      run.line.setLatLngs(latlngs);
+    });
+    graded.level = level;
+  }
+
+  // ── Color-graded rendering ────────────────────────────────────────
+  const COLOR_MODES = ['track', 'slope', 'speed', 'elevation'];
+  const COLOR_MODE_LABELS = { track: 'Track', slope: 'Slope', speed: 'Speed', elevation: 'Elevation' };
+  // Bands are matched by the highest `min` not above the value
+  const COLOR_SCALES = {
+    slope: [
+      { min: 0, color: '#8fbcd4', label: '< 20°' },
+      { min: 20, color: '#7bc96f', label: '20–25°' },
+      { min: 25, color: '#ffe14d', label: '25–30°' },
+      { min: 30, color: '#ff9900', label: '30–35°' },
+      { min: 35, color: '#e8322b', label: '35–40°' },
+      { min: 40, color: '#9933cc', label: '40°+' },
+    ],
+    speed: [
+      { min: 0, color: '#8fbcd4', label: '< 2 km/h' },
+      { min: 2, color: '#7bc96f', label: '2–4 km/h' },
+      { min: 4, color: '#ffe14d', label: '4–8 km/h' },
+      { min: 8, color: '#ff9900', label: '8–15 km/h' },
+      { min: 15, color: '#e8322b', label: '15–25 km/h' },
+      { min: 25, color: '#9933cc', label: '25 km/h+' },
+    ],
+    elevation: [
+      { min: -Infinity, color: '#7bc96f', label: '< 200 m' },
+      { min: 200, color: '#b5d96a', label: '200–400 m' },
+      { min: 400, color: '#ffe14d', label: '400–600 m' },
+      { min: 600, color: '#ffb84d', label: '600–800 m' },
+      { min: 800, color: '#ff9900', label: '800–1000 m' },
+      { min: 1000, color: '#cc6600', label: '1000–1200 m' },
+      { min: 1200, color: '#8b4513', label: '1200 m+' },
+    ],
+  };
+  const NO_DATA_COLOR = '#aaaaaa';
+  let colorMode = 'track';
+  let legendEl = null;
+
+  function smoothElevation(points, window) {
+    return points.map((p, i) => {
+      if (p.ele === null) return null;
+      let sum = 0, count = 0;
+      for (let j = Math.max(0, i - window); j <= Math.min(points.length - 1, i + window); j++) {
+        if (points[j].ele !== null) { sum += points[j].ele; count++; }
+      }
+      return count > 0 ? sum / count : null;
+    });
+  }
+
+  // Split a track into ~CHUNK_DIST_M pieces with slope (deg), speed (km/h) and elevation (m).
+  // Gradient math matches findLongestSteepSegment in scripts/analyze-descents.js, but uses
+  // the absolute drop so climbs are graded too.
+  function computeTrackChunks(points) {
+    const smoothEle = smoothElevation(points, SMOOTH_WINDOW);
+    const chunks = [];
+    let startI = 0;
+    let dist = 0;
+    for (let i = 1; i < points.length; i++) {
+      const segDist = haversineKm(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon) * 1000;
+      if (segDist <= MAX_SEGMENT_JUMP * 1000) dist += segDist;
+      const isLast = i === points.length - 1;
+      if (dist < CHUNK_DIST_M && !isLast) continue;
+
+      const prev = chunks[chunks.length - 1];
+      if (dist < CHUNK_DIST_M && prev) {
+        // Short tail: too little distance for a stable gradient, reuse the previous chunk's values
+        chunks.push({ ...prev, startI, endI: i });
+        break;
+      }
+      const e0 = smoothEle[startI];
+      const e1 = smoothEle[i];
+      const t0 = points[startI].time;
+      const t1 = points[i].time;
+      chunks.push({
+        startI, endI: i,
+        slope: (e0 !== null && e1 !== null && dist > 0) ? Math.atan(Math.abs(e0 - e1) / dist) * (180 / Math.PI) : null,
+        speed: (t0 !== null && t1 !== null && t1 > t0) ? (dist / 1000) / ((t1 - t0) / 3600000) : null,
+        elevation: (e0 !== null && e1 !== null) ? (e0 + e1) / 2 : null,
       });
+      startI = i;
+      dist = 0;
+    }
+    return chunks;
+  }
+
+  function bandColor(scale, value) {
+    if (value === null) return NO_DATA_COLOR;
+    let color = scale[0].color;
+    scale.forEach(b => { if (value >= b.min) color = b.color; });
+    return color;
+  }
+
+  // Build a layer of polylines, one per run of consecutive chunks sharing a color band.
+  // Returns { mode, layer, runs, level }; runs are drawn at full resolution until applyTrackLod picks a level.
+  function buildGradedLine(track, mode) {
+    const L = leafletRef;
+    const points = track.points;
+    const chunks = track._chunks || (track._chunks = computeTrackChunks(points));
+    const scale = COLOR_SCALES[mode];
+    const runs = [];
+    chunks.forEach(c => {
+      const color = bandColor(scale, c[mode]);
+      const last = runs[runs.length - 1];
+      if (last && last.color === color) last.endI = c.endI;
+      else runs.push({ color, startI: c.startI, endI: c.endI });
     });
-    const nameEl = doc.querySelector('trk > name');
-    const name = nameEl ? nameEl.textContent : null;
-    // Extract date from metadata or first trackpoint
-    const timeEl = doc.querySelector('metadata > time') || doc.querySelector('trkpt > time');
-    const date = timeEl ? timeEl.textContent : null;
-    return { coords, points, name, date };
+    runs.forEach(r => {
+      r.line = L.polyline(
+        points.slice(r.startI, r.endI + 1).map(p => [p.lat, p.lon]),
+        { color: r.color, weight: TRACK_WEIGHT, opacity: TRACK_OPACITY, lineJoin: 'round', lineCap: 'round', renderer: overlayRenderer }
+      );
+    });
+    const group = L.featureGroup(runs.map(r => r.line));
+    bindTrackHover(track, group);
+    // LOD levels index the track's latlngs, which mirror its points one to one
+    const lodMatches = track._lod && track._lod.levels[0].length === points.length;
+    return { mode, layer: group, runs: lodMatches ? runs : [], level: 0 };
   }
 
-  // ── Formatting helpers ────────────────────────────────────────────
-  let trackListEl = null;
-  let panelMinimized = window.innerWidth < 600; // start minimized on mobile
-  const expandedSeasons = new Set(); // seasons the user has expanded (all start collapsed)
-  const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  // Swap a loaded track's line between its plain polyline and the graded version for colorMode
+  function applyTrackColor(track) {
+    if (!track.layer) return;
+    let line = track.polyline;
+    if (colorMode !== 'track' && track.points && track.points.length >= 2) {
+      if (!track._graded || track._graded.mode !== colorMode) {
+        track._graded = buildGradedLine(track, colorMode);
+      }
+      line = track._graded.layer;
+    }
+    if (track._line !== line) {
+      if (track.layer.hasLayer(track._line)) {
+        track.layer.removeLayer(track._line);
+        track.layer.addLayer(line);
+      }
+      track._line = line;
+      raiseTrackMarkers(track);
+    }
+    applyTrackLod(track);
+  }
 
-  function formatShortDate(d) {
-    if (!d || isNaN(d.getTime())) return '';
-    return `${d.getDate()} ${MONTHS[d.getMonth()]}`;
+  function setColorMode(mode) {
+    colorMode = mode;
+    tracks.forEach(applyTrackColor);
+    updateColorLegend();
   }
 
-  function formatFullDate(d) {
-    if (!d || isNaN(d.getTime())) return '';
-    return `${d.getDate()} ${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+  function updateColorLegend() {
+    if (!legendEl) {
+      legendEl = document.createElement('div');
+      legendEl.className = 'gpx-legend';
+      document.body.appendChild(legendEl);
+    }
+    const scale = COLOR_SCALES[colorMode];
+    if (!scale) {
+      legendEl.style.display = 'none';
+      return;
+    }
+    legendEl.innerHTML =
+      `<div class="gpx-legend-title">${COLOR_MODE_LABELS[colorMode]}</div>` +
+      scale.map(b => `<div class="gpx-legend-row"><span class="gpx-legend-swatch" style="background:${b.color}"></span>${b.label}</div>`).join('') +
+      `<div class="gpx-legend-row"><span class="gpx-legend-swatch" style="background:${NO_DATA_COLOR}"></span>No data</div>`;
+    legendEl.style.display = 'block';
   }
 
-  function formatDuration(ms) {
-    if (!ms || ms <= 0) return '\u2014';
-    const totalMin = Math.round(ms / 60000);
-    const h = Math.floor(totalMin / 60);
-    const m = totalMin % 60;
-    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+  // ── Heatmap layer ─────────────────────────────────────────────────
+  const HEAT_SPACING_M = 20;  // decimate track points to roughly this spacing
+  const HEAT_CELL_PX = 4;     // density grid resolution in screen pixels
+  const HEAT_RADIUS_PX = 9;   // blur radius of each grid cell
+  const HEAT_GRADIENT = { 0.25: '#2b83ba', 0.5: '#abdda4', 0.75: '#fdae61', 1: '#d7191c' };
+  let heatLayer = null;       // active heat layer (null when the heatmap is off)
+  let heatSeason = '';        // '' = all seasons
+  let heatRefreshTimer = null;
+  let heatRefreshGen = 0;     // bumped per refresh, so a slower older run can't overwrite newer data
+  let HeatLayer = null;       // Leaflet layer class, created once the map is ready
+
+  function decimatePoints(latlons) {
+    const out = [];
+    let last = null;
+    latlons.forEach(([lat, lon]) => {
+      if (last && haversineKm(last[0], last[1], lat, lon) * 1000 < HEAT_SPACING_M) return;
+      last = [lat, lon];
+      out.push(last);
+    });
+    return out;
   }
 
-  function formatTime(epochMs) {
-    if (!epochMs) return '\u2014';
-    const d = new Date(epochMs);
-    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  // Coordinates for one track: loaded points, then cached GPX, then the summary start point
+  async function heatPointsForTrack(track) {
+    if (track._heatPoints) return track._heatPoints;
+    let latlons = null;
+    if (track.points) {
+      latlons = track.points.map(p => [p.lat, p.lon]);
+    } else if (track.filename) {
+      const cached = await getCached(trackKey(track));
+      if (cached && isCacheFresh(cached, track)) latlons = cached.coords;
+    }
+    if (latlons) {
+      track._heatPoints = decimatePoints(latlons);
+      return track._heatPoints;
+    }
+    return track.start ? [track.start] : [];
+  }
+
+  function getHeatLayerClass() {
+    if (HeatLayer) return HeatLayer;
+    const L = leafletRef;
+    HeatLayer = L.Layer.extend({
+      initialize() { this._data = []; },
+
+      setData(data) {
+        this._data = data;
+        if (this._map) this._redraw();
+      },
+
+      onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'gpx-heat-canvas leaflet-zoom-hide');
+        map.getPanes().overlayPane.appendChild(this._canvas);
+        map.on('moveend resize', this._redraw, this);
+        this._redraw();
+      },
+
+      onRemove(map) {
+        map.off('moveend resize', this._redraw, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+      },
+
+      _redraw() {
+        const map = this._map;
+        const canvas = this._canvas;
+        const size = map.getSize();
+        canvas.width = size.x;
+        canvas.height = size.y;
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, size.x, size.y);
+
+        // Count how many tracks pass through each grid cell
+        const cols = Math.ceil(size.x / HEAT_CELL_PX);
+        const rows = Math.ceil(size.y / HEAT_CELL_PX);
+        const grid = new Uint16Array(cols * rows);
+        const b = map.getBounds().pad(0.1);
+        const south = b.getSouth(), north = b.getNorth(), west = b.getWest(), east = b.getEast();
+        this._data.forEach(latlons => {
+          const seen = new Set();
+          latlons.forEach(([lat, lon]) => {
+            if (lat < south || lat > north || lon < west || lon > east) return;
+            const p = map.latLngToContainerPoint([lat, lon]);
+            const cx = Math.floor(p.x / HEAT_CELL_PX);
+            const cy = Math.floor(p.y / HEAT_CELL_PX);
+            if (cx < 0 || cy < 0 || cx >= cols || cy >= rows) return;
+            seen.add(cy * cols + cx);
+          });
+          seen.forEach(i => grid[i]++);
+        });
+        let max = 0;
+        grid.forEach(c => { if (c > max) max = c; });
+        if (max === 0) return;
+
+        // Draw a blurred stamp per cell, weighted on a log scale so single passes stay visible
+        const stamp = this._getStamp();
+        const logMax = Math.log(1 + max);
+        for (let i = 0; i < grid.length; i++) {
+          if (!grid[i]) continue;
+          ctx.globalAlpha = Math.max(0.08, Math.log(1 + grid[i]) / logMax);
+          const x = (i % cols) * HEAT_CELL_PX + HEAT_CELL_PX / 2;
+          const y = Math.floor(i / cols) * HEAT_CELL_PX + HEAT_CELL_PX / 2;
+          ctx.drawImage(stamp, x - HEAT_RADIUS_PX, y - HEAT_RADIUS_PX);
+        }
+
+        // Colorize alpha through the gradient palette
+        const palette = this._getPalette();
+        const img = ctx.getImageData(0, 0, size.x, size.y);
+        const px = img.data;
+        for (let i = 3; i < px.length; i += 4) {
+          const a = px[i];
+          if (!a) continue;
+          px[i - 3] = palette[a * 4];
+          px[i - 2] = palette[a * 4 + 1];
+          px[i - 1] = palette[a * 4 + 2];
+          px[i] = Math.min(255, a * 1.5);
+        }
+        ctx.putImageData(img, 0, 0);
+      },
+
+      _getStamp() {
+        if (this._stamp) return this._stamp;
+        const c = document.createElement('canvas');
+        c.width = c.height = HEAT_RADIUS_PX * 2;
+        const ctx = c.getContext('2d');
+        const g = ctx.createRadialGradient(HEAT_RADIUS_PX, HEAT_RADIUS_PX, 0, HEAT_RADIUS_PX, HEAT_RADIUS_PX, HEAT_RADIUS_PX);
+        g.addColorStop(0, 'rgba(0,0,0,1)');
+        g.addColorStop(1, 'rgba(0,0,0,0)');
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, c.width, c.height);
+        this._stamp = c;
+        return c;
+      },
+
+      _getPalette() {
+        if (this._palette) return this._palette;
+        const c = document.createElement('canvas');
+        c.width = 1;
+        c.height = 256;
+        const ctx = c.getContext('2d');
+        const g = ctx.createLinearGradient(0, 0, 0, 256);
+        Object.keys(HEAT_GRADIENT).forEach(stop => g.addColorStop(+stop, HEAT_GRADIENT[stop]));
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, 1, 256);
+        this._palette = ctx.getImageData(0, 0, 1, 256).data;
+        return this._palette;
+      },
+    });
+    return HeatLayer;
+  }
+
+  async function refreshHeatmap() {
+    if (!heatLayer) return;
+    const gen = ++heatRefreshGen;
+    const selected = tracks.filter(t => !t.routeId && (!heatSeason || getSeason(t.date) === heatSeason));
+    const data = [];
+    for (const t of selected) {
+      const pts = await heatPointsForTrack(t);
+      if (pts.length) data.push(pts);
+    }
+    if (heatLayer && gen === heatRefreshGen) heatLayer.setData(data);
+  }
+
+  // Coalesce refreshes while many tracks are loading
+  function scheduleHeatmapRefresh() {
+    if (!heatLayer) return;
+    clearTimeout(heatRefreshTimer);
+    heatRefreshTimer = setTimeout(refreshHeatmap, 500);
+  }
+
+  function toggleHeatmap() {
+    if (heatLayer) {
+      mapRef.removeLayer(heatLayer);
+      heatLayer = null;
+      return false;
+    }
+    const Layer = getHeatLayerClass();
+    heatLayer = new Layer().addTo(mapRef);
+    refreshHeatmap();
+    return true;
+  }
+
+  function heatSeasonOptions() {
+    const seasons = new Set();
+    tracks.forEach(t => { const s = getSeason(t.date); if (s) seasons.add(s); });
+    return [...seasons].sort((a, b) => parseInt(b) - parseInt(a));
+  }
+
+  // ── Trailheads ────────────────────────────────────────────────────
+  // Track starts grouped into parking spots: one marker per trailhead with a count badge
+  let trailheadLayer = null;
+  let trailheadRefreshTimer = null;
+  const trailheadTracks = new Set();  // tracks whose start dot a trailhead marker stands in for
+
+  function trackStartLatLng(track) {
+    if (track.points && track.points.length) return [track.points[0].lat, track.points[0].lon];
+    if (track.start) return track.start;
+    if (track.markers) {
+      const ll = track.markers[0].getLatLng();
+      return [ll.lat, ll.lng];
+    }
+    return null;
+  }
+
+  // Greedy start clustering with the radius recommend.html's matchTracksToTours uses: each
+  // start joins the nearest trailhead within MATCH_RADIUS_KM or founds a new one
+  function clusterTrailheads(list) {
+    const heads = [];
+    list.filter(t => !t.routeId)
+      .sort((a, b) => (a.date || 0) - (b.date || 0))
+      .forEach(t => {
+        const start = trackStartLatLng(t);
+        if (!start) return;
+        let head = null, bestDist = MATCH_RADIUS_KM;
+        heads.forEach(h => {
+          const d = haversineKm(h.lat, h.lon, start[0], start[1]);
+          if (d < bestDist) { head = h; bestDist = d; }
+        });
+        if (!head) {
+          head = { lat: 0, lon: 0, tracks: [] };
+          heads.push(head);
+        }
+        head.tracks.push(t);
+        // Running mean keeps the marker in the middle of the starts it stands for
+        head.lat += (start[0] - head.lat) / head.tracks.length;
+        head.lon += (start[1] - head.lon) / head.tracks.length;
+      });
+    heads.forEach(h => h.tracks.reverse()); // newest first
+    return heads;
+  }
+
+  // Clickable list of the head's tracks; picking one closes the popup. The map's overlap chooser
+  // reuses it with its own title and action.
+  function trailheadPopup(head, title = null, onPick = focusTrack) {
+    const el = document.createElement('div');
+    el.className = 'gpx-trailhead-popup';
+    const n = head.tracks.length;
+    el.innerHTML = `<div class="gpx-trailhead-title">${title || `${n} tour${n === 1 ? '' : 's'} from here`}</div>` +
+      head.tracks.map((t, i) =>
+        `<a class="gpx-trailhead-entry" data-i="${i}"><span class="gpx-dot" style="background:${t.color}"></span>` +
+        `${escapeHtml(t.name)}<span class="gpx-trailhead-date">${formatFullDate(t.date)}</span></a>`
+      ).join('');
+    el.querySelectorAll('.gpx-trailhead-entry').forEach(a => {
+      a.onclick = () => {
+        mapRef.closePopup();
+        onPick(head.tracks[+a.dataset.i]);
+      };
+    });
+    return el;
+  }
+
+  function refreshTrailheads() {
+    if (!trailheadLayer) return;
+    const L = leafletRef;
+    trailheadLayer.clearLayers();
+    trailheadTracks.clear();
+    clusterTrailheads(tracks).forEach(head => {
+      head.tracks.forEach(t => trailheadTracks.add(t));
+      const n = head.tracks.length;
+      const marker = L.marker([head.lat, head.lon], {
+        icon: L.divIcon({
+          className: 'gpx-trailhead',
+          html: `P${n > 1 ? `<span class="gpx-trailhead-count">${n}</span>` : ''}`,
+          iconSize: [22, 22],
+        }),
+        title: head.tracks[0].name,
+      });
+      marker.bindPopup(() => trailheadPopup(head), { maxHeight: 260 });
+      trailheadLayer.addLayer(marker);
+    });
+    tracks.forEach(applyTrackLod);
+  }
+
+  function scheduleTrailheadRefresh() {
+    if (!trailheadLayer) return;
+    clearTimeout(trailheadRefreshTimer);
+    trailheadRefreshTimer = setTimeout(refreshTrailheads, 500);
+  }
+
+  function toggleTrailheads() {
+    if (trailheadLayer) {
+      mapRef.removeLayer(trailheadLayer);
+      trailheadLayer = null;
+      trailheadTracks.clear();
+      tracks.forEach(applyTrackLod);
+    } else {
+      trailheadLayer = leafletRef.layerGroup().addTo(mapRef);
+      refreshTrailheads();
+    }
+    return !!trailheadLayer;
+  }
+
+  // ── GPX parser ────────────────────────────────────────────────────
+  function parseGpx(gpxText) {
+    const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
+    const coords = [];
+    const points = [];
+    doc.querySelectorAll('trkpt').forEach(pt => {
+      const lat = parseFloat(pt.getAttribute('lat'));
+      const lon = parseFloat(pt.getAttribute('lon'));
+      if (isNaN(lat) || isNaN(lon)) return;
+      coords.push([lat, lon]);
+      const eleEl = pt.querySelector('ele');
+      const timeEl = pt.querySelector('time');
+      points.push({
+        lat, lon,
+        ele: eleEl ? parseFloat(eleEl.textContent) : null,
+        time: timeEl ? new Date(timeEl.textContent).getTime() : null,
+      });
+    });
+    const nameEl = doc.querySelector('trk > name');
+    const name = nameEl ? nameEl.textContent : null;
+    // Extract date from metadata or first trackpoint
+    const timeEl = doc.querySelector('metadata > time') || doc.querySelector('trkpt > time');
+    const date = timeEl ? timeEl.textContent : null;
+    return { coords, points, name, date };
+  }
+
+  // ── Track file parsers ────────────────────────────────────────────
+  // Every parser returns { coords, points, name, date } like parseGpx.
+  // Text parsers receive a string, binary parsers an ArrayBuffer.
+  const trackParsers = [];
+
+  function registerTrackParser(parser) {
+    trackParsers.push(parser);
+  }
+
+  function parserForFile(filename) {
+    const ext = (filename.match(/\.([^.]+)$/) || [])[1];
+    if (!ext) return null;
+    return trackParsers.find(p => p.extensions.includes(ext.toLowerCase())) || null;
+  }
+
+  function acceptedExtensions() {
+    return trackParsers.flatMap(p => p.extensions.map(e => `.${e}`)).join(',');
+  }
+
+  function readTrackFile(file, parser) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        try { resolve(parser.parse(reader.result)); } catch (err) { reject(err); }
+      };
+      reader.onerror = () => reject(reader.error);
+      if (parser.binary) reader.readAsArrayBuffer(file);
+      else reader.readAsText(file);
+    });
+  }
+
+  function pointsToResult(points, name, date) {
+    return {
+      coords: points.map(p => [p.lat, p.lon]),
+      points,
+      name: name || null,
+      date: date || (points.length && points[0].time !== null ? new Date(points[0].time).toISOString() : null),
+    };
+  }
+
+  function parseTcx(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const points = [];
+    doc.querySelectorAll('Trackpoint').forEach(tp => {
+      const latEl = tp.querySelector('LatitudeDegrees');
+      const lonEl = tp.querySelector('LongitudeDegrees');
+      if (!latEl || !lonEl) return;
+      const lat = parseFloat(latEl.textContent);
+      const lon = parseFloat(lonEl.textContent);
+      if (isNaN(lat) || isNaN(lon)) return;
+      const altEl = tp.querySelector('AltitudeMeters');
+      const timeEl = tp.querySelector('Time');
+      points.push({
+        lat, lon,
+        ele: altEl ? parseFloat(altEl.textContent) : null,
+        time: timeEl ? new Date(timeEl.textContent).getTime() : null,
+      });
+    });
+    const notesEl = doc.querySelector('Activity > Notes');
+    const idEl = doc.querySelector('Activity > Id');
+    return pointsToResult(points, notesEl ? notesEl.textContent : null, idEl ? idEl.textContent : null);
+  }
+
+  // Supports <gx:Track> (with timestamps) and plain <LineString> coordinates
+  function parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const points = [];
+    const gxTracks = doc.getElementsByTagNameNS('*', 'Track');
+    if (gxTracks.length > 0) {
+      Array.from(gxTracks).forEach(trk => {
+        const whens = trk.getElementsByTagNameNS('*', 'when');
+        const coordEls = trk.getElementsByTagNameNS('*', 'coord');
+        Array.from(coordEls).forEach((c, i) => {
+          const [lon, lat, ele] = c.textContent.trim().split(/\s+/).map(parseFloat);
+          if (isNaN(lat) || isNaN(lon)) return;
+          points.push({
+            lat, lon,
+            ele: isNaN(ele) ? null : ele,
+            time: whens[i] ? new Date(whens[i].textContent).getTime() : null,
+          });
+        });
+      });
+    } else {
+      doc.querySelectorAll('LineString > coordinates').forEach(el => {
+        el.textContent.trim().split(/\s+/).forEach(tuple => {
+          const [lon, lat, ele] = tuple.split(',').map(parseFloat);
+          if (isNaN(lat) || isNaN(lon)) return;
+          points.push({ lat, lon, ele: isNaN(ele) ? null : ele, time: null });
+        });
+      });
+    }
+    const nameEl = doc.querySelector('Placemark > name') || doc.querySelector('Document > name');
+    const whenEl = doc.querySelector('TimeStamp > when');
+    return pointsToResult(points, nameEl ? nameEl.textContent : null, whenEl ? whenEl.textContent : null);
+  }
+
+  // LineString / MultiLineString features; times from properties.coordTimes if present
+  function parseGeoJson(text) {
+    const json = JSON.parse(text);
+    const features = json.type === 'FeatureCollection' ? json.features
+      : json.type === 'Feature' ? [json]
+      : [{ type: 'Feature', properties: {}, geometry: json }];
+    const points = [];
+    let name = null;
+    let date = null;
+    features.forEach(f => {
+      const g = f.geometry;
+      if (!g) return;
+      const lines = g.type === 'LineString' ? [g.coordinates]
+        : g.type === 'MultiLineString' ? g.coordinates
+        : [];
+      if (lines.length === 0) return;
+      const props = f.properties || {};
+      if (!name && props.name) name = props.name;
+      if (!date && (props.date || props.time)) date = props.date || props.time;
+      const times = (props.coordTimes || []).flat();
+      let i = 0;
+      lines.forEach(line => line.forEach(c => {
+        const t = times[i++];
+        if (typeof c[0] !== 'number' || typeof c[1] !== 'number') return;
+        points.push({
+          lat: c[1], lon: c[0],
+          ele: typeof c[2] === 'number' ? c[2] : null,
+          time: t ? new Date(t).getTime() : null,
+        });
+      }));
+    });
+    return pointsToResult(points, name, date);
+  }
+
+  // Minimal FIT decoder: reads record (20), session (18) and file_id (0) messages
+  const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+  const FIT_SEMICIRCLE_DEG = 180 / 2 ** 31;
+
+  function readFitValue(view, pos, size, baseType, little) {
+    const type = baseType & 0x1f;
+    switch (size) {
+      case 1: {
+        const v = type === 1 ? view.getInt8(pos) : view.getUint8(pos);
+        return v === (type === 1 ? 0x7f : 0xff) ? null : v;
+      }
+      case 2: {
+        const v = type === 3 ? view.getInt16(pos, little) : view.getUint16(pos, little);
+        return v === (type === 3 ? 0x7fff : 0xffff) ? null : v;
+      }
+      case 4: {
+        const v = type === 5 ? view.getInt32(pos, little) : view.getUint32(pos, little);
+        return v === (type === 5 ? 0x7fffffff : 0xffffffff) ? null : v;
+      }
+      default:
+        return null; // arrays/strings — not needed here
+    }
+  }
+
+  function parseFit(buffer) {
+    const view = new DataView(buffer);
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 8, 4));
+    if (magic !== '.FIT') throw new Error('not a FIT file');
+
+    const defs = {};
+    const points = [];
+    let date = null;
+    let lastTimestamp = null;
+    let pos = headerSize;
+    const end = Math.min(headerSize + dataSize, buffer.byteLength);
+
+    while (pos < end) {
+      const header = view.getUint8(pos++);
+      let local;
+      let compressedTs = null;
+      if (header & 0x80) {
+        // Compressed timestamp header: 5-bit offset from the last full timestamp
+        local = (header >> 5) & 0x3;
+        const offset = header & 0x1f;
+        if (lastTimestamp !== null) {
+          compressedTs = (lastTimestamp & ~0x1f) + offset;
+          if (offset < (lastTimestamp & 0x1f)) compressedTs += 0x20;
+        }
+      } else if (header & 0x40) {
+        // Definition message
+        local = header & 0x0f;
+        const hasDevFields = header & 0x20;
+        pos++; // reserved
+        const little = view.getUint8(pos++) === 0;
+        const globalNum = view.getUint16(pos, little);
+        pos += 2;
+        const fieldCount = view.getUint8(pos++);
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({ num: view.getUint8(pos), size: view.getUint8(pos + 1), baseType: view.getUint8(pos + 2) });
+          pos += 3;
+        }
+        let devSize = 0;
+        if (hasDevFields) {
+          const devCount = view.getUint8(pos++);
+          for (let i = 0; i < devCount; i++) {
+            devSize += view.getUint8(pos + 1);
+            pos += 3;
+          }
+        }
+        defs[local] = { globalNum, little, fields, devSize };
+        continue;
+      } else {
+        local = header & 0x0f;
+      }
+
+      // Data message
+      const def = defs[local];
+      if (!def) throw new Error(`FIT data message without definition at byte ${pos}`);
+      const values = {};
+      def.fields.forEach(f => {
+        values[f.num] = readFitValue(view, pos, f.size, f.baseType, def.little);
+        pos += f.size;
+      });
+      pos += def.devSize;
+
+      if (values[253] != null) lastTimestamp = values[253];
+      else if (compressedTs !== null) {
+        values[253] = compressedTs;
+        lastTimestamp = compressedTs;
+      }
+      const timeMs = values[253] != null ? FIT_EPOCH_MS + values[253] * 1000 : null;
+
+      if (def.globalNum === 20 && values[0] != null && values[1] != null) {
+        const rawAlt = values[78] != null ? values[78] : values[2];
+        points.push({
+          lat: values[0] * FIT_SEMICIRCLE_DEG,
+          lon: values[1] * FIT_SEMICIRCLE_DEG,
+          ele: rawAlt != null ? rawAlt / 5 - 500 : null,
+          time: timeMs,
+        });
+      } else if (def.globalNum === 0 && values[4] != null && !date) {
+        date = new Date(FIT_EPOCH_MS + values[4] * 1000).toISOString();
+      } else if (def.globalNum === 18 && values[2] != null && !date) {
+        date = new Date(FIT_EPOCH_MS + values[2] * 1000).toISOString();
+      }
+    }
+    return pointsToResult(points, null, date);
+  }
+
+  registerTrackParser({ name: 'GPX', extensions: ['gpx'], binary: false, parse: parseGpx });
+  registerTrackParser({ name: 'TCX', extensions: ['tcx'], binary: false, parse: parseTcx });
+  registerTrackParser({ name: 'KML', extensions: ['kml'], binary: false, parse: parseKml });
+  registerTrackParser({ name: 'GeoJSON', extensions: ['geojson', 'json'], binary: false, parse: parseGeoJson });
+  registerTrackParser({ name: 'FIT', extensions: ['fit'], binary: true, parse: parseFit });
+
+  // Parse, store and add user-supplied files (upload button and drag-and-drop)
+  async function importFiles(files) {
+    for (const file of files) {
+      const parser = parserForFile(file.name);
+      if (!parser) {
+        console.warn(`[GPX Overlay] Unsupported file type: ${file.name}`);
+        continue;
+      }
+      try {
+        const { coords, points, name, date } = await readTrackFile(file, parser);
+        if (coords.length > 0) {
+          const record = {
+            id: newUploadId(),
+            name: name || file.name.replace(/\.[^.]+$/, ''),
+            date, coords, points,
+            sourceFile: file.name,
+            addedAt: Date.now(),
+          };
+          await putUpload(record);
+          expandedSeasons.add(UPLOADS_GROUP);
+          addTrack(coords, record.name, true, date, points, null, { uploadId: record.id });
+        } else {
+          console.warn(`[GPX Overlay] No track points in ${file.name}`);
+        }
+      } catch (err) {
+        console.warn(`[GPX Overlay] Failed to parse ${file.name} as ${parser.name}: ${err.message}`);
+      }
+    }
+  }
+
+  // ── Export ────────────────────────────────────────────────────────
+  const EXPORT_FORMATS = {
+    gpx: { label: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', build: buildGpx },
+    geojson: { label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', build: buildGeoJson },
+    kml: { label: 'KML', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: buildKml },
+  };
+  let popupMenuEl = null;
+  let popupMenuTimer = null;  // pending registration of the outside-click listener
+
+  function isoDate(d) {
+    return d && !isNaN(d.getTime()) ? d.toISOString() : null;
+  }
+
+  // One <trk> per track, merged into a single GPX 1.1 document
+  function buildGpx(list) {
+    const trks = list.map(t => {
+      const pts = t.points.map(p => {
+        const ele = p.ele !== null ? `<ele>${p.ele}</ele>` : '';
+        const time = p.time !== null ? `<time>${new Date(p.time).toISOString()}</time>` : '';
+        return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}${time}</trkpt>`;
+      }).join('\n');
+      return `  <trk>\n    <name>${escapeHtml(t.name)}</name>\n    <trkseg>\n${pts}\n    </trkseg>\n  </trk>`;
+    }).join('\n');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="randonee-overlay" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+      `  <metadata><time>${new Date().toISOString()}</time></metadata>\n${trks}\n</gpx>\n`;
+  }
+
+  // FeatureCollection of LineStrings carrying computeTrackStats results as properties
+  function buildGeoJson(list) {
+    const features = list.map(t => {
+      const hasTime = t.points.some(p => p.time !== null);
+      return {
+        type: 'Feature',
+        properties: {
+          name: t.name,
+          date: isoDate(t.date),
+          filename: t.filename,
+          ...(computeTrackStats(t.points) || {}),
+          ...(hasTime ? { coordTimes: t.points.map(p => p.time !== null ? new Date(p.time).toISOString() : null) } : {}),
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: t.points.map(p => p.ele !== null ? [p.lon, p.lat, p.ele] : [p.lon, p.lat]),
+        },
+      };
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+  }
+
+  // KML colors are aabbggrr
+  function kmlColor(hex) {
+    const h = hex.replace('#', '');
+    return `ff${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`;
+  }
+
+  function buildKml(list) {
+    const placemarks = list.map(t => {
+      const coords = t.points.map(p => `${p.lon},${p.lat}${p.ele !== null ? ',' + p.ele : ''}`).join(' ');
+      const date = isoDate(t.date);
+      return `    <Placemark>
+      <name>${escapeHtml(t.name)}</name>${date ? `\n      <TimeStamp><when>${date}</when></TimeStamp>` : ''}
+      <Style><LineStyle><color>${kmlColor(t.color)}</color><width>${TRACK_WEIGHT}</width></LineStyle></Style>
+      <LineString><tessellate>1</tessellate><altitudeMode>clampToGround</altitudeMode><coordinates>${coords}</coordinates></LineString>
+    </Placemark>`;
+    }).join('\n');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n  <Document>\n    <name>randonee-overlay</name>\n' +
+      `${placemarks}\n  </Document>\n</kml>\n`;
+  }
+
+  function downloadFile(filename, content, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function safeFilename(name) {
+    return name.replace(/[^\wÀ-ɏ-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'track';
+  }
+
+  function exportTracks(list, formatKey) {
+    const format = EXPORT_FORMATS[formatKey];
+    const base = list.length === 1
+      ? safeFilename(list[0].name)
+      : `tracks-${new Date().toISOString().slice(0, 10)}`;
+    downloadFile(`${base}.${format.ext}`, format.build(list), format.mime);
+  }
+
+  function closePopupMenu() {
+    clearTimeout(popupMenuTimer);
+    document.removeEventListener('click', closePopupMenu);
+    if (popupMenuEl) popupMenuEl.remove();
+    popupMenuEl = null;
+  }
+
+  // Small menu that opens above a button-bar button; closes on outside click
+  function openPopupMenu(anchor, html) {
+    closePopupMenu();
+    const el = document.createElement('div');
+    el.className = 'gpx-menu';
+    el.innerHTML = html;
+    const rect = anchor.getBoundingClientRect();
+    el.style.bottom = `${window.innerHeight - rect.top + 6}px`;
+    el.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+    el.onclick = (e) => e.stopPropagation();
+    document.body.appendChild(el);
+    popupMenuEl = el;
+    popupMenuTimer = setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
+    return el;
+  }
+
+  function showExportMenu(anchor) {
+    const visible = tracks.filter(t => t.visible && t.points);
+    const selected = selectedTrack && selectedTrack.points ? [selectedTrack] : [];
+    const scopes = [
+      { key: 'visible', label: `Visible tracks (${visible.length})`, list: visible },
+      { key: 'selected', label: selected.length ? `Selected: ${escapeHtml(selected[0].name)}` : 'Selected track (none)', list: selected },
+    ];
+    const formatButtons = Object.keys(EXPORT_FORMATS)
+      .map(k => `<button class="gpx-detail-action" data-format="${k}">${EXPORT_FORMATS[k].label}</button>`).join('');
+    const el = openPopupMenu(anchor, `
+      <div class="gpx-menu-title">Export</div>
+      ${scopes.map(s => `
+        <div class="gpx-menu-section">
+          <div class="gpx-menu-label">${s.label}</div>
+          <div class="gpx-menu-row" data-scope="${s.key}">${formatButtons}</div>
+        </div>`).join('')}`);
+    scopes.forEach(s => {
+      el.querySelectorAll(`[data-scope="${s.key}"] button`).forEach(btn => {
+        btn.disabled = s.list.length === 0;
+        btn.onclick = () => {
+          exportTracks(s.list, btn.dataset.format);
+          closePopupMenu();
+        };
+      });
+    });
+  }
+
+  // ── Cache manager ─────────────────────────────────────────────────
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Fills the settings menu's cache section; `el` is the open menu
+  async function showCacheInfo(el, anchor) {
+    const entries = await getAllCached();
+    if (popupMenuEl !== el) return; // closed while counting
+
+    const byFile = new Map(tracks.filter(t => t.filename).map(t => [trackKey(t), t]));
+    const size = entries.reduce((sum, [, e]) => sum + JSON.stringify(e).length, 0);
+    const stale = entries.filter(([k, e]) => byFile.has(k) && !isCacheFresh(e, byFile.get(k))).length;
+    const edited = entries.filter(([, e]) => e.original).length;
+    el.querySelector('.gpx-cache-info').innerHTML = `
+      <div class="gpx-menu-label">${entries.length} GPX file${entries.length === 1 ? '' : 's'} &middot; ~${formatBytes(size)}</div>
+      ${stale ? `<div class="gpx-menu-label">${stale} stale, refetched on next load</div>` : ''}
+      ${edited ? `<div class="gpx-menu-label">${edited} with local edits</div>` : ''}
+      <div class="gpx-menu-row">
+        <button class="gpx-detail-action" data-action="clear"${entries.length ? '' : ' disabled'}>Clear cache</button>
+      </div>
+      <div class="gpx-menu-label">Uploads and planned routes are kept</div>`;
+    el.querySelector('[data-action="clear"]').onclick = async () => {
+      if (edited && !window.confirm(`Clearing the cache also discards your edits to ${edited} track${edited === 1 ? '' : 's'}. Continue?`)) return;
+      await clearCache();
+      tracks.forEach(t => { if (!t.points) t._heatPoints = null; });
+      console.log(`[GPX Overlay] Cleared ${entries.length} cached GPX file(s)`);
+      showSettingsMenu(anchor);
+    };
+  }
+
+  // ── Settings ──────────────────────────────────────────────────────
+  // Overrides for the `let` configuration values, kept outside the script so edits survive
+  // auto-updates. GM storage is used when the script runs with a GM_getValue/GM_setValue grant.
+  const SETTINGS_KEY = 'gpx-overlay-settings';
+  const SETTINGS_FIELDS = [
+    { key: 'trackWeight', group: 'Track style', label: 'Line width', unit: 'px', min: 1, max: 12, step: 1,
+      get: () => TRACK_WEIGHT, set: v => { TRACK_WEIGHT = v; } },
+    { key: 'trackOpacity', group: 'Track style', label: 'Opacity', unit: '', min: 0.1, max: 1, step: 0.05,
+      get: () => TRACK_OPACITY, set: v => { TRACK_OPACITY = v; } },
+    { key: 'eleThreshold', group: 'Stats', label: 'Ignore climbs under', unit: 'm', min: 0, max: 50, step: 0.5,
+      get: () => ELE_THRESHOLD, set: v => { ELE_THRESHOLD = v; } },
+    { key: 'stopSpeed', group: 'Stats', label: 'Stopped below', unit: 'km/h', min: 0, max: 10, step: 0.1,
+      get: () => STOP_SPEED, set: v => { STOP_SPEED = v; } },
+    { key: 'recentSeasons', group: 'Loading', label: 'Seasons loaded at start', unit: '', min: 0, max: 30, step: 1,
+      get: () => RECENT_SEASONS, set: v => { RECENT_SEASONS = v; } },
+    { key: 'remoteUrl', group: 'Sources', label: 'Remote URL', type: 'url',
+      get: () => REMOTE_URL, set: v => { REMOTE_URL = v; } },
+    { key: 'devServer', group: 'Sources', label: 'Dev server', type: 'url',
+      get: () => DEV_SERVER, set: v => { DEV_SERVER = v; } },
+    { key: 'friendSources', group: 'Sources', label: 'Friends', type: 'sources',
+      get: () => FRIEND_SOURCES, set: v => { FRIEND_SOURCES = v; } },
+  ];
+  const RELOAD_SETTINGS = ['remoteUrl', 'devServer'];
+  const SETTINGS_DEFAULTS = Object.fromEntries(SETTINGS_FIELDS.map(f => [f.key, f.get()]));
+  const hasGmStorage = typeof GM_getValue === 'function' && typeof GM_setValue === 'function';
+
+  function readSettings() {
+    try {
+      const raw = hasGmStorage ? GM_getValue(SETTINGS_KEY, null) : localStorage.getItem(SETTINGS_KEY);
+      return (raw && JSON.parse(raw)) || {};
+    } catch { return {}; }
+  }
+
+  function writeSettings(values) {
+    try {
+      const raw = JSON.stringify(values);
+      if (hasGmStorage) GM_setValue(SETTINGS_KEY, raw);
+      else localStorage.setItem(SETTINGS_KEY, raw);
+    } catch { /* storage full or disabled — settings last until reload */ }
+  }
+
+  // { value } or { error } for a field's raw input; empty URLs disable that source
+  function parseSetting(field, raw) {
+    if (field.type === 'sources') return parseSources(raw);
+    const text = raw == null ? '' : String(raw).trim();
+    if (field.type === 'url') {
+      if (!text) return { value: null };
+      try {
+        if (!/^https?:$/.test(new URL(text).protocol)) throw new Error('protocol');
+      } catch {
+        return { error: 'Enter an http(s) URL, or leave empty to disable' };
+      }
+      return { value: text.replace(/\/+$/, '') };
+    }
+    const n = Number(text);
+    if (!text || !isFinite(n)) return { error: 'Enter a number' };
+    if (n < field.min || n > field.max) return { error: `Must be between ${field.min} and ${field.max}` };
+    if (field.step === 1 && !Number.isInteger(n)) return { error: 'Must be a whole number' };
+    return { value: n };
+  }
+
+  // Friends' sources: the stored array, or textarea text with one "Name = URL" per line
+  function parseSources(raw) {
+    const lines = Array.isArray(raw) ? raw.map(s => `${s.name} = ${s.url}`) : String(raw || '').split('\n');
+    const sources = [];
+    for (const line of lines.map(l => l.trim()).filter(Boolean)) {
+      const m = line.match(/^([^=,<>"&]+?)\s*=\s*(\S+)$/);
+      const url = m && parseSetting({ type: 'url' }, m[2]);
+      if (!m || !url.value) return { error: `"${line}": use Name = https://\u2026 (no commas or HTML in the name)` };
+      const name = m[1];
+      if (name.toLowerCase() === OWN_PERSON) return { error: `"${name}" stands for your own tracks` };
+      if (sources.some(s => s.name === name)) return { error: `"${name}" is listed twice` };
+      sources.push({ name, url: url.value });
+    }
+    return { value: sources };
+  }
+
+  // Set every field from `values` (defaults where missing or invalid); returns the changed keys
+  function applySettings(values) {
+    const changed = new Set();
+    SETTINGS_FIELDS.forEach(f => {
+      const parsed = parseSetting(f, f.key in values ? values[f.key] : SETTINGS_DEFAULTS[f.key]);
+      const value = parsed.error ? SETTINGS_DEFAULTS[f.key] : parsed.value;
+      if (JSON.stringify(value) === JSON.stringify(f.get())) return;
+      f.set(value);
+      changed.add(f.key);
+    });
+    return changed;
+  }
+
+  function restyleTracks() {
+    const style = { weight: TRACK_WEIGHT, opacity: TRACK_OPACITY };
+    tracks.forEach(t => {
+      if (t.polyline) t.polyline.setStyle(style);
+      if (t._graded) t._graded.layer.setStyle(style);
+    });
+  }
+
+  // Totals that count not-yet-loaded tracks are marked with this note
+  function summaryNote(n) {
+    return `${n} track${n === 1 ? '' : 's'} not loaded yet: ascent and distance from track-summaries.json, not your stats settings`;
+  }
+
+  // Loaded tracks' stats depend on ELE_THRESHOLD and STOP_SPEED; placeholders keep their summary
+  // numbers (stats.fromSummary) until they load, and the totals that include them say so
+  function recomputeTrackStats() {
+    tracks.forEach(t => {
+      if (!t.points) return;
+      t.stats = computeTrackStats(t.points) || t.stats;
+      t._laps = null;
+    });
+    if (selectedTrack && !editor && !playback) showTrackDetail(selectedTrack);
+    if (profileOverlayEl) {
+      toggleProfileOverlay();
+      toggleProfileOverlay();
+    }
+    updateTrackList();
+  }
+
+  // Drop a friend's tracks (source removed from settings), including any still queued for loading
+  function removeSourceTracks(sourceId) {
+    loadQueue = loadQueue.filter(job => {
+      if (job.track.sourceId !== sourceId) return true;
+      job.track._loading = false;
+      loadProgress.total--;
+      job.resolve();
+      return false;
+    });
+    sourceTracks(sourceId).forEach(t => {
+      if (selectedTrack === t) hideTrackDetail();
+      if (t.layer && t.visible) mapRef.removeLayer(t.layer);
+      failedTracks.delete(t);
+      compareSet.delete(t);
+      tracks.splice(tracks.indexOf(t), 1);
+    });
+  }
+
+  // Live-apply an edited friends list: drop sources that were removed or moved to another URL,
+  // recolor every track for the new palettes, then load the sources that are new
+  function applyFriendSources() {
+    const loadedUrls = new Map();
+    tracks.forEach(t => { if (t.sourceId) loadedUrls.set(t.sourceId, t.baseUrl); });
+    loadedUrls.forEach((url, sourceId) => {
+      if (!FRIEND_SOURCES.some(s => s.name === sourceId && s.url === url)) removeSourceTracks(sourceId);
+    });
+    tracks.forEach(t => {
+      t.color = colorForKey(t.filename || t.uploadId || t.routeId || t.name, sourcePalette(t.sourceId));
+      if (t.polyline) t.polyline.setStyle({ color: t.color });
+    });
+    if (trackFilter.person && trackFilter.person !== OWN_PERSON &&
+        !FRIEND_SOURCES.some(s => s.name === trackFilter.person)) trackFilter.person = '';
+    if (filterBarEl) {
+      filterBarEl.remove();
+      filterBarEl = null;  // rebuilt with the new Person options
+    }
+    scheduleHeatmapRefresh();
+    scheduleTrailheadRefresh();
+    scheduleSaveState();
+    if (profileOverlayEl) {
+      toggleProfileOverlay();
+      toggleProfileOverlay();
+    }
+    updateTrackList();
+    loadFriendSources(FRIEND_SOURCES.filter(s => loadedUrls.get(s.name) !== s.url));
+  }
+
+  // Live-apply what can change without a reload; the remote and dev server URLs only take
+  // effect on the next load
+  function onSettingsChanged(changed) {
+    if (changed.has('trackWeight') || changed.has('trackOpacity')) restyleTracks();
+    if (changed.has('eleThreshold') || changed.has('stopSpeed')) recomputeTrackStats();
+    if (changed.has('friendSources')) applyFriendSources();
+    if (changed.has('recentSeasons')) {
+      const recent = recentSeasonSet();
+      const pending = tracks.filter(t => !t.gpxLoaded && !t._loading && recent.has(getSeason(t.date)));
+      if (pending.length) loadTracksConcurrently(pending);
+    }
+  }
+
+  // `changed` (after a reset) shows the reload note when sources were among the changes
+  function showSettingsMenu(anchor, changed = null) {
+    const groups = [...new Set(SETTINGS_FIELDS.map(f => f.group))];
+    const inputHtml = (f) => {
+      if (f.type === 'sources') {
+        return `<textarea rows="3" placeholder="Name = https://\u2026" data-key="${f.key}">${
+          escapeHtml(f.get().map(s => `${s.name} = ${s.url}`).join('\n'))}</textarea>`;
+      }
+      return f.type === 'url'
+        ? `<input type="url" placeholder="disabled" data-key="${f.key}" value="${f.get() || ''}">`
+        : `<input type="number" min="${f.min}" max="${f.max}" step="${f.step}" data-key="${f.key}" value="${f.get()}">`;
+    };
+    const el = openPopupMenu(anchor, `
+      <div class="gpx-menu-title">Settings</div>
+      ${groups.map(g => `
+        <div class="gpx-menu-section">
+          <div class="gpx-menu-label">${g}</div>
+          ${SETTINGS_FIELDS.filter(f => f.group === g).map(f => `
+            <label class="gpx-setting${f.type ? ` gpx-setting-${f.type}` : ''}">
+              <span class="gpx-setting-label">${f.label}</span>${inputHtml(f)}<span class="gpx-setting-unit">${f.unit || ''}</span>
+            </label>
+            <div class="gpx-setting-error" data-error="${f.key}"></div>`).join('')}
+        </div>`).join('')}
+      <div class="gpx-menu-section gpx-setting-reload" style="display:none">
+        <div class="gpx-menu-label">Remote URL and dev server changes apply after a reload</div>
+        <button class="gpx-detail-action" data-action="reload">Reload page</button>
+      </div>
+      <div class="gpx-menu-row gpx-menu-section">
+        <button class="gpx-detail-action" data-action="reset">Reset to defaults</button>
+      </div>
+      <div class="gpx-menu-title gpx-menu-section">Track cache</div>
+      <div class="gpx-menu-section gpx-cache-info"><div class="gpx-menu-label">Counting&hellip;</div></div>`);
+    el.classList.add('gpx-settings');
+
+    const showReloadNote = (keys) => {
+      if (RELOAD_SETTINGS.some(k => keys.has(k))) el.querySelector('.gpx-setting-reload').style.display = '';
+    };
+    el.querySelectorAll('[data-key]').forEach(input => {
+      input.onchange = () => {
+        const field = SETTINGS_FIELDS.find(f => f.key === input.dataset.key);
+        const parsed = parseSetting(field, input.value);
+        el.querySelector(`[data-error="${field.key}"]`).textContent = parsed.error || '';
+        input.classList.toggle('invalid', !!parsed.error);
+        if (parsed.error) return;
+        const stored = readSettings();
+        stored[field.key] = parsed.value;
+        writeSettings(stored);
+        const keys = applySettings(stored);
+        onSettingsChanged(keys);
+        showReloadNote(keys);
+      };
+    });
+    el.querySelector('[data-action="reload"]').onclick = () => window.location.reload();
+    el.querySelector('[data-action="reset"]').onclick = () => {
+      writeSettings({});
+      const keys = applySettings({});
+      onSettingsChanged(keys);
+      showSettingsMenu(anchor, keys);
+    };
+    if (changed) showReloadNote(changed);
+    showCacheInfo(el, anchor);
+  }
+
+  // ── Formatting helpers ────────────────────────────────────────────
+  let trackListEl = null;
+  let panelMinimized = window.innerWidth < 600; // start minimized on mobile
+  const expandedSeasons = new Set(); // seasons the user has expanded (all start collapsed)
+  const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
+  // Escape text from outside (track names) for innerHTML and exported GPX/KML; the numeric
+  // apostrophe is valid in both HTML and XML
+  function escapeHtml(str) {
+    return String(str).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' }[c]));
+  }
+
+  function formatShortDate(d) {
+    if (!d || isNaN(d.getTime())) return '';
+    return `${d.getDate()} ${MONTHS[d.getMonth()]}`;
+  }
+
+  function formatFullDate(d) {
+    if (!d || isNaN(d.getTime())) return '';
+    return `${d.getDate()} ${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+  }
+
+  function formatDuration(ms) {
+    if (!ms || ms <= 0) return '\u2014';
+    const totalMin = Math.round(ms / 60000);
+    const h = Math.floor(totalMin / 60);
+    const m = totalMin % 60;
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+  }
+
+  function formatTime(epochMs) {
+    if (!epochMs) return '\u2014';
+    const d = new Date(epochMs);
+    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  }
+
+  // ── Elevation chart ───────────────────────────────────────────────
+  const CHART_WIDTH = 268;
+  const CHART_HEIGHT = 110;
+  const CHART_PAD_LEFT = 34;   // room for elevation labels
+  const CHART_PAD_BOTTOM = 14; // room for the x-axis label
+  let chartMode = 'distance';  // 'distance' | 'time'
+  let chartState = null;       // { track, xs, toX, toY, cursor, dot, readout } for the open chart
+  let chartMarker = null;      // map marker that follows the chart cursor
+
+  // Cumulative distance (km) and elapsed time (ms) per point, skipping GPS glitches
+  function buildElevationSeries(points) {
+    const dist = [0];
+    const elapsed = [0];
+    const first = points.find(p => p.time !== null);
+    const t0 = first ? first.time : null;
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const p = points[i];
+      const segDist = haversineKm(prev.lat, prev.lon, p.lat, p.lon);
+      dist.push(dist[i - 1] + (segDist > MAX_SEGMENT_JUMP ? 0 : segDist));
+      elapsed.push(t0 !== null && p.time !== null ? p.time - t0 : elapsed[i - 1]);
+    }
+    const hasTime = t0 !== null && elapsed[elapsed.length - 1] > 0;
+    return { dist, elapsed, hasTime };
+  }
+
+  // Binary search for the point whose x value is closest to x
+  function indexAtX(xs, x) {
+    let lo = 0, hi = xs.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (xs[mid] < x) lo = mid; else hi = mid;
+    }
+    return (x - xs[lo]) <= (xs[hi] - x) ? lo : hi;
+  }
+
+  function nearestPointIndex(points, latlng, from = 0, to = points.length - 1) {
+    const cosLat = Math.cos(latlng.lat * Math.PI / 180);
+    let best = from, bestD = Infinity;
+    for (let i = from; i <= to; i++) {
+      const dLat = points[i].lat - latlng.lat;
+      const dLon = (points[i].lon - latlng.lng) * cosLat;
+      const d = dLat * dLat + dLon * dLon;
+      if (d < bestD) { bestD = d; best = i; }
+    }
+    return best;
+  }
+
+  function renderElevationChart(container, track) {
+    const points = track.points;
+    const series = track._series || (track._series = buildElevationSeries(points));
+    const mode = chartMode === 'time' && series.hasTime ? 'time' : 'distance';
+    const xs = mode === 'time' ? series.elapsed : series.dist;
+    const xMax = xs[xs.length - 1] || 1;
+
+    let eMin = Infinity, eMax = -Infinity;
+    points.forEach(p => {
+      if (p.ele === null) return;
+      if (p.ele < eMin) eMin = p.ele;
+      if (p.ele > eMax) eMax = p.ele;
+    });
+    if (eMin === Infinity) {
+      container.innerHTML = '<div class="gpx-chart-empty">No elevation data</div>';
+      return;
+    }
+    const pad = Math.max(10, (eMax - eMin) * 0.05);
+    const yMin = eMin - pad;
+    const yMax = eMax + pad;
+    const plotH = CHART_HEIGHT - CHART_PAD_BOTTOM;
+    const toX = x => CHART_PAD_LEFT + x / xMax * (CHART_WIDTH - CHART_PAD_LEFT);
+    const toY = e => (1 - (e - yMin) / (yMax - yMin)) * plotH;
+
+    // Downsample to roughly two vertices per pixel column
+    const step = Math.max(1, Math.floor(points.length / (CHART_WIDTH * 2)));
+    let line = '';
+    let firstX = null, lastX = null;
+    for (let i = 0; i < points.length; i += step) {
+      if (points[i].ele === null) continue;
+      const x = toX(xs[i]).toFixed(1);
+      line += `${line ? 'L' : 'M'}${x},${toY(points[i].ele).toFixed(1)}`;
+      if (firstX === null) firstX = x;
+      lastX = x;
+    }
+    const last = points[points.length - 1];
+    if (last.ele !== null) {
+      lastX = toX(xMax).toFixed(1);
+      line += `L${lastX},${toY(last.ele).toFixed(1)}`;
+    }
+    const area = `${line}L${lastX},${plotH}L${firstX},${plotH}Z`;
+    const xLabel = mode === 'time' ? formatDuration(xMax) : `${xMax.toFixed(1)} km`;
+
+    container.innerHTML = `
+      <div class="gpx-chart-modes">
+        <button data-mode="distance" class="${mode === 'distance' ? 'active' : ''}">Distance</button>
+        <button data-mode="time" class="${mode === 'time' ? 'active' : ''}"${series.hasTime ? '' : ' disabled'}>Time</button>
+      </div>
+      <svg class="gpx-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}">
+        <path class="gpx-chart-area" d="${area}" fill="${track.color}"></path>
+        <path class="gpx-chart-line" d="${line}" stroke="${track.color}"></path>
+        <line class="gpx-chart-axis" x1="${CHART_PAD_LEFT}" y1="${plotH}" x2="${CHART_WIDTH}" y2="${plotH}"></line>
+        <text class="gpx-chart-label" x="${CHART_PAD_LEFT - 4}" y="10" text-anchor="end">${Math.round(eMax)}</text>
+        <text class="gpx-chart-label" x="${CHART_PAD_LEFT - 4}" y="${plotH}" text-anchor="end">${Math.round(eMin)}</text>
+        <text class="gpx-chart-label" x="${CHART_WIDTH}" y="${CHART_HEIGHT - 2}" text-anchor="end">${xLabel}</text>
+        <line class="gpx-chart-cursor" y1="0" y2="${plotH}" visibility="hidden"></line>
+        <circle class="gpx-chart-dot" r="3.5" fill="${track.color}" visibility="hidden"></circle>
+        <text class="gpx-chart-readout" x="${CHART_PAD_LEFT + 4}" y="10" visibility="hidden"></text>
+      </svg>`;
+
+    const svg = container.querySelector('svg');
+    chartState = {
+      track, mode, xs, toX, toY,
+      cursor: svg.querySelector('.gpx-chart-cursor'),
+      dot: svg.querySelector('.gpx-chart-dot'),
+      readout: svg.querySelector('.gpx-chart-readout'),
+    };
+
+    container.querySelectorAll('.gpx-chart-modes button').forEach(btn => {
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        chartMode = btn.dataset.mode;
+        renderElevationChart(container, track);
+      };
+    });
+
+    svg.onpointermove = (e) => {
+      const rect = svg.getBoundingClientRect();
+      const vx = (e.clientX - rect.left) / rect.width * CHART_WIDTH;
+      const x = Math.max(0, (vx - CHART_PAD_LEFT) / (CHART_WIDTH - CHART_PAD_LEFT) * xMax);
+      const i = indexAtX(xs, x);
+      highlightChartIndex(i);
+      moveChartMarker(track, i);
+    };
+    svg.onpointerleave = clearChartHighlight;
+  }
+
+  function highlightChartIndex(i) {
+    if (!chartState) return;
+    const { track, mode, xs, toX, toY, cursor, dot, readout } = chartState;
+    const p = track.points[i];
+    const x = toX(xs[i]);
+    cursor.setAttribute('x1', x);
+    cursor.setAttribute('x2', x);
+    cursor.setAttribute('visibility', 'visible');
+    if (p.ele !== null) {
+      dot.setAttribute('cx', x);
+      dot.setAttribute('cy', toY(p.ele));
+      dot.setAttribute('visibility', 'visible');
+    } else {
+      dot.setAttribute('visibility', 'hidden');
+    }
+    const xText = mode === 'time' ? formatDuration(xs[i]) : `${xs[i].toFixed(2)} km`;
+    readout.textContent = `${p.ele !== null ? Math.round(p.ele) + ' m' : '\u2014'} \u00b7 ${xText}`;
+    readout.setAttribute('visibility', 'visible');
+  }
+
+  function clearChartHighlight() {
+    if (chartState) {
+      ['cursor', 'dot', 'readout'].forEach(k => chartState[k].setAttribute('visibility', 'hidden'));
+    }
+    if (chartMarker && mapRef) {
+      mapRef.removeLayer(chartMarker);
+      chartMarker = null;
+    }
+  }
+
+  function moveChartMarker(track, i) {
+    const p = track.points[i];
+    const latlng = leafletRef.latLng(p.lat, p.lon);
+    if (!chartMarker) {
+      chartMarker = leafletRef.circleMarker(latlng, {
+        radius: 6, color: 'white', weight: 2, fillColor: track.color, fillOpacity: 1, interactive: false,
+        renderer: overlayRenderer,
+      }).addTo(mapRef);
+    } else {
+      chartMarker.setLatLng(latlng);
+      chartMarker.setStyle({ fillColor: track.color });
+    }
+  }
+
+  // Hovering the selected track's polyline highlights the matching spot on its chart
+  function bindTrackHover(track, polyline) {
+    if (!track.points || track.points.length < 2) return;
+    polyline.on('mousemove', (e) => {
+      if (!chartState || chartState.track !== track) return;
+      const i = nearestPointIndex(track.points, e.latlng);
+      highlightChartIndex(i);
+      moveChartMarker(track, i);
+    });
+    polyline.on('mouseout', () => {
+      if (chartState && chartState.track === track) clearChartHighlight();
+    });
+  }
+
+  // ── Lap detection ─────────────────────────────────────────────────
+  const LAP_MIN_DROP_M = 100;   // descents smaller than this don't split a climb
+  const LAP_MIN_CLIMB_M = 100;  // climb this much after a trough = next lap
+  let lapHighlight = null;      // { track, index, layer } for the lap shown on the map
+
+  // Same peak/trough walk as findDescentSegments in scripts/analyze-descents.js,
+  // with lap-sized thresholds
+  function findDescentSegments(smoothEle) {
+    const segments = [];
+    let peakI = 0, peakEle = smoothEle[0] || 0;
+    let troughI = 0, troughEle = smoothEle[0] || 0;
+
+    for (let i = 1; i < smoothEle.length; i++) {
+      const ele = smoothEle[i];
+      if (ele === null) continue;
+
+      if (ele > peakEle) {
+        peakEle = ele;
+        peakI = i;
+        troughEle = ele;
+        troughI = i;
+      } else if (ele < troughEle) {
+        troughEle = ele;
+        troughI = i;
+      } else if (ele > troughEle + LAP_MIN_CLIMB_M) {
+        // Started climbing — finalize descent if significant
+        if (peakEle - troughEle >= LAP_MIN_DROP_M) {
+          segments.push({ peakI, troughI });
+        }
+        peakI = i;
+        peakEle = ele;
+        troughI = i;
+        troughEle = ele;
+      }
+    }
+    if (peakEle - troughEle >= LAP_MIN_DROP_M) {
+      segments.push({ peakI, troughI });
+    }
+    return segments;
+  }
+
+  // Alternating climb/descent laps: climbs fill the gaps between detected descents.
+  // Stretches with less than LAP_MIN_CLIMB_M of ascent (e.g. a flat walk out) are left out.
+  function computeLaps(points) {
+    const descents = findDescentSegments(smoothElevation(points, SMOOTH_WINDOW));
+    const laps = [];
+    const addLap = (type, from, to) => {
+      if (to <= from) return;
+      const stats = computeTrackStats(points.slice(from, to + 1));
+      if (!stats) return;
+      if (type === 'climb' && stats.elevGain < LAP_MIN_CLIMB_M) return;
+      laps.push({ type, from, to, stats });
+    };
+    let last = 0;
+    descents.forEach(d => {
+      addLap('climb', last, d.peakI);
+      addLap('descent', d.peakI, d.troughI);
+      last = d.troughI;
+    });
+    addLap('climb', last, points.length - 1);
+    return laps;
+  }
+
+  function renderLapTable(container, track) {
+    const laps = track._laps || (track._laps = computeLaps(track.points));
+    if (laps.length < 2) {
+      container.innerHTML = '';
+      return;
+    }
+    container.innerHTML = `
+      <div class="gpx-detail-label">Laps</div>
+      <table class="gpx-laps-table">
+        <tr><th>#</th><th></th><th>Vert</th><th>Time</th><th>Pace</th></tr>
+        ${laps.map((lap, i) => {
+          const s = lap.stats;
+          const climb = lap.type === 'climb';
+          const pace = climb
+            ? (s.vertPerHour !== null ? `${s.vertPerHour} m/h` : '\u2014')
+            : (s.avgSpeed !== null ? `${s.avgSpeed} km/h` : '\u2014');
+          return `<tr data-i="${i}" class="gpx-lap-${lap.type}" title="Show on map">
+            <td>${i + 1}</td>
+            <td>${climb ? '&#9650;' : '&#9660;'}</td>
+            <td>${climb ? '+' + s.elevGain : '&minus;' + s.elevLoss} m</td>
+            <td>${formatDuration(s.elapsedMs)}</td>
+            <td>${pace}</td>
+          </tr>`;
+        }).join('')}
+      </table>`;
+    container.querySelectorAll('tr[data-i]').forEach(row => {
+      row.onclick = () => {
+        const i = +row.dataset.i;
+        const same = lapHighlight && lapHighlight.track === track && lapHighlight.index === i;
+        clearLapHighlight();
+        if (!same) highlightLap(track, i);
+        container.querySelectorAll('tr[data-i]').forEach(r => {
+          r.classList.toggle('active', !same && r === row);
+        });
+      };
+    });
+  }
+
+  function highlightLap(track, index) {
+    const L = leafletRef;
+    const lap = track._laps[index];
+    const latlngs = track.points.slice(lap.from, lap.to + 1).map(p => [p.lat, p.lon]);
+    const layer = L.featureGroup([
+      L.polyline(latlngs, { color: 'white', weight: TRACK_WEIGHT + 6, opacity: 0.9, interactive: false, renderer: overlayRenderer }),
+      L.polyline(latlngs, { color: track.color, weight: TRACK_WEIGHT + 2, opacity: 1, interactive: false, renderer: overlayRenderer }),
+    ]).addTo(mapRef);
+    lapHighlight = { track, index, layer };
+    mapRef.fitBounds(layer.getBounds().pad(0.2));
+  }
+
+  function clearLapHighlight() {
+    if (!lapHighlight) return;
+    mapRef.removeLayer(lapHighlight.layer);
+    lapHighlight = null;
+  }
+
+  // ── Best descent ──────────────────────────────────────────────────
+  // descent-analysis.json (scripts/analyze-descents.js) locates each track's best descent and
+  // its longest 25–35° section; the selected track gets both drawn, labelled with drop and angle
+  const DESCENT_COLOR = '#2b83ba';
+  const STEEP_COLOR = '#e8322b';
+  const DESCENT_MATCH_M = 25;   // analyzed endpoints must be this close to points[startI/endI] to trust the indices
+  let descentAnalysisPromise = null;
+  let descentHighlight = null;  // { track, layer } for the selected track's best descent
+
+  // filename -> descent, for GPX entries that record where the descent is
+  function loadDescentAnalysis() {
+    if (!descentAnalysisPromise) {
+      descentAnalysisPromise = fetchDataFile('descent-analysis.json', []).then(list => new Map(
+        list.filter(e => e.source === 'gpx' && e.descent && e.descent.start).map(e => [e.filename, e.descent])
+      ));
+    }
+    return descentAnalysisPromise;
+  }
+
+  // Point range of an analyzed segment; falls back to the recorded coordinates when the
+  // track's points no longer line up with the analysis (e.g. after editing)
+  function resolveSegmentRange(points, seg) {
+    const near = (i, c) => points[i] && haversineKm(points[i].lat, points[i].lon, c[0], c[1]) * 1000 <= DESCENT_MATCH_M;
+    if (near(seg.startI, seg.start) && near(seg.endI, seg.end)) return [seg.startI, seg.endI];
+    const from = nearestPointIndex(points, { lat: seg.start[0], lng: seg.start[1] });
+    const to = nearestPointIndex(points, { lat: seg.end[0], lng: seg.end[1] }, from);
+    return [from, to];
+  }
+
+  function segmentLayers(track, seg, color, label) {
+    const L = leafletRef;
+    const [from, to] = resolveSegmentRange(track.points, seg);
+    const latlngs = track.points.slice(from, to + 1).map(p => [p.lat, p.lon]);
+    const line = L.polyline(latlngs, { color, weight: TRACK_WEIGHT + 2, opacity: 1, interactive: false, renderer: overlayRenderer });
+    line.bindTooltip(label, { permanent: true, direction: 'right', offset: [8, 0], className: 'gpx-descent-label' });
+    return [
+      L.polyline(latlngs, { color: 'white', weight: TRACK_WEIGHT + 6, opacity: 0.9, interactive: false, renderer: overlayRenderer }),
+      line,
+    ];
+  }
+
+  async function showDescentHighlight(track) {
+    clearDescentHighlight();
+    // descent-analysis.json only covers our own tracks
+    if (!track.filename || track.sourceId || !track.points) return;
+    const descent = (await loadDescentAnalysis()).get(track.filename);
+    // Selection may have moved on while the analysis loaded
+    if (!descent || selectedTrack !== track || descentHighlight) return;
+    const layers = segmentLayers(track, descent, DESCENT_COLOR,
+      `Best descent &minus;${descent.verticalDrop} m &middot; ${descent.avgGradientDeg}&deg;`);
+    const steep = descent.steepSegment;
+    if (steep && steep.start) {
+      layers.push(...segmentLayers(track, steep, STEEP_COLOR,
+        `Steep &minus;${steep.verticalDrop} m @ ${steep.avgGradientDeg}&deg;`));
+    }
+    descentHighlight = { track, layer: leafletRef.featureGroup(layers).addTo(mapRef) };
+  }
+
+  function clearDescentHighlight() {
+    if (!descentHighlight) return;
+    mapRef.removeLayer(descentHighlight.layer);
+    descentHighlight = null;
+  }
+
+  // ── Playback ──────────────────────────────────────────────────────
+  const PLAYBACK_SPEEDS = [10, 30, 60, 120, 300, 600];
+  const PLAYBACK_SPEED_WINDOW_MS = 30000; // speed readout averages over this window
+  let playback = null; // { track, entries: [{ track, series, marker }], t, duration, speed, playing, raf, lastTs, el }
+
+  function formatClock(ms) {
+    const totalSec = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(totalSec / 3600);
+    const m = Math.floor(totalSec / 60) % 60;
+    const sec = totalSec % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+  }
+
+  // Last index whose value is <= x (xs is non-decreasing)
+  function floorIndex(xs, x) {
+    if (x <= xs[0]) return 0;
+    let lo = 0, hi = xs.length - 1;
+    if (x >= xs[hi]) return hi;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (xs[mid] <= x) lo = mid; else hi = mid;
+    }
+    return lo;
+  }
+
+  function playbackSeries(track) {
+    return track._series || (track._series = buildElevationSeries(track.points));
+  }
+
+  // Loaded, timed tracks that start at the same trailhead and top out at a similar height
+  function findSameTourTracks(track) {
+    const start = track.points[0];
+    return tracks.filter(t => {
+      if (t === track || !t.points || !t.stats || !playbackSeries(t).hasTime) return false;
+      const dist = haversineKm(start.lat, start.lon, t.points[0].lat, t.points[0].lon);
+      const eleClose = track.stats.maxEle === null || t.stats.maxEle === null ||
+        Math.abs(track.stats.maxEle - t.stats.maxEle) < MATCH_ELE_TOLERANCE;
+      return dist < MATCH_RADIUS_KM && eleClose;
+    });
+  }
+
+  function playbackStateAt(entry, t) {
+    const points = entry.track.points;
+    const xs = entry.series.elapsed;
+    const i = floorIndex(xs, t);
+    const j = Math.min(i + 1, points.length - 1);
+    const span = xs[j] - xs[i];
+    const f = span > 0 ? Math.min(1, (t - xs[i]) / span) : 0;
+    const a = points[i];
+    const b = points[j];
+    const ele = (a.ele !== null && b.ele !== null) ? a.ele + (b.ele - a.ele) * f : a.ele;
+    const w0 = floorIndex(xs, t - PLAYBACK_SPEED_WINDOW_MS / 2);
+    const w1 = floorIndex(xs, t + PLAYBACK_SPEED_WINDOW_MS / 2);
+    const hours = (xs[w1] - xs[w0]) / 3600000;
+    return {
+      lat: a.lat + (b.lat - a.lat) * f,
+      lon: a.lon + (b.lon - a.lon) * f,
+      ele,
+      speed: hours > 0 ? (entry.series.dist[w1] - entry.series.dist[w0]) / hours : 0,
+      dist: entry.series.dist[i] + (entry.series.dist[j] - entry.series.dist[i]) * f,
+      done: t >= xs[xs.length - 1],
+    };
+  }
+
+  function startPlayback(track, ghosts = []) {
+    stopPlayback();
+    closeTrackEditor();
+    const L = leafletRef;
+    const entries = [track, ...ghosts].map((t, idx) => {
+      const series = playbackSeries(t);
+      const marker = L.circleMarker([t.points[0].lat, t.points[0].lon], {
+        radius: idx === 0 ? 8 : 6, color: 'white', weight: 2,
+        fillColor: t.color, fillOpacity: idx === 0 ? 1 : 0.75, interactive: false, renderer: overlayRenderer,
+      }).addTo(mapRef);
+      return { track: t, series, marker };
+    });
+    playback = {
+      track, entries,
+      t: 0,
+      duration: Math.max(...entries.map(e => e.series.elapsed[e.series.elapsed.length - 1])),
+      speed: 60,
+      playing: false,
+      raf: null,
+      lastTs: null,
+      el: null,
+    };
+    renderPlaybackPanel();
+    setPlaybackTime(0);
+  }
+
+  function stopPlayback() {
+    if (!playback) return;
+    if (playback.raf) cancelAnimationFrame(playback.raf);
+    playback.entries.forEach(e => mapRef.removeLayer(e.marker));
+    if (playback.el) playback.el.remove();
+    playback = null;
+  }
+
+  function setPlaybackTime(t) {
+    if (!playback) return;
+    playback.t = Math.max(0, Math.min(t, playback.duration));
+    const el = playback.el;
+    playback.entries.forEach((entry, idx) => {
+      const st = playbackStateAt(entry, playback.t);
+      entry.marker.setLatLng([st.lat, st.lon]);
+      const row = el.querySelectorAll('.gpx-playback-row')[idx];
+      row.querySelector('.gpx-playback-ele').textContent = st.ele !== null ? `${Math.round(st.ele)} m` : '\u2014';
+      row.querySelector('.gpx-playback-speed-val').textContent = st.done ? 'done' : `${st.speed.toFixed(1)} km/h`;
+      row.querySelector('.gpx-playback-dist').textContent = `${st.dist.toFixed(2)} km`;
+    });
+    el.querySelector('.gpx-playback-scrub').value = playback.t;
+    el.querySelector('.gpx-playback-time').textContent = `${formatClock(playback.t)} / ${formatClock(playback.duration)}`;
+  }
+
+  function playbackFrame(ts) {
+    if (!playback || !playback.playing) return;
+    if (playback.lastTs !== null) {
+      setPlaybackTime(playback.t + (ts - playback.lastTs) * playback.speed);
+    }
+    playback.lastTs = ts;
+    if (playback.t >= playback.duration) {
+      setPlaybackPlaying(false);
+      return;
+    }
+    playback.raf = requestAnimationFrame(playbackFrame);
+  }
+
+  function setPlaybackPlaying(playing) {
+    if (!playback) return;
+    playback.playing = playing;
+    playback.lastTs = null;
+    if (playback.raf) cancelAnimationFrame(playback.raf);
+    playback.raf = null;
+    if (playing) {
+      if (playback.t >= playback.duration) playback.t = 0;
+      playback.raf = requestAnimationFrame(playbackFrame);
+    }
+    playback.el.querySelector('.gpx-playback-play').innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+  }
+
+  // Checkboxes for racing against other days of the same tour, in the detail and playback panels
+  function ghostPickerHtml(candidates, picked = []) {
+    if (!candidates.length) return '';
+    return `<div class="gpx-playback-ghosts">
+        <div class="gpx-detail-label">Race against (same tour)</div>
+        ${candidates.map((t, i) => `
+          <label><input type="checkbox" data-i="${i}"${picked.includes(t) ? ' checked' : ''}>
+            <span class="gpx-dot" style="background:${t.color}"></span>${formatFullDate(t.date)} &middot; ${escapeHtml(t.name)}</label>`).join('')}
+      </div>`;
+  }
+
+  function renderPlaybackPanel() {
+    if (playback.el) playback.el.remove();
+    const el = document.createElement('div');
+    el.className = 'gpx-playback';
+    const ghosts = playback.entries.slice(1).map(e => e.track);
+    const candidates = findSameTourTracks(playback.track);
+
+    const rows = playback.entries.map(e => `
+      <div class="gpx-playback-row">
+        <span class="gpx-dot" style="background:${e.track.color}"></span>
+        <span class="gpx-playback-name">${formatFullDate(e.track.date) || escapeHtml(e.track.name)}</span>
+        <span class="gpx-playback-ele"></span>
+        <span class="gpx-playback-speed-val"></span>
+        <span class="gpx-playback-dist"></span>
+      </div>`).join('');
+
+    el.innerHTML = `
+      <div class="gpx-detail-header">
+        <div class="gpx-detail-title">Playback: ${escapeHtml(playback.track.name)}</div>
+        <button class="gpx-detail-close" title="Close">&times;</button>
+      </div>
+      <div class="gpx-playback-controls">
+        <button class="gpx-playback-play" title="Play/pause">&#9654;</button>
+        <input type="range" class="gpx-playback-scrub" min="0" max="${playback.duration}" step="1000" value="0">
+        <select class="gpx-playback-speed">
+          ${PLAYBACK_SPEEDS.map(x => `<option value="${x}"${x === playback.speed ? ' selected' : ''}>${x}&times;</option>`).join('')}
+        </select>
+      </div>
+      <div class="gpx-playback-time"></div>
+      ${rows}
+      ${ghostPickerHtml(candidates, ghosts)}`;
+
+    el.querySelector('.gpx-detail-close').onclick = stopPlayback;
+    el.querySelector('.gpx-playback-play').onclick = () => setPlaybackPlaying(!playback.playing);
+    el.querySelector('.gpx-playback-scrub').oninput = (e) => setPlaybackTime(+e.target.value);
+    el.querySelector('.gpx-playback-speed').onchange = (e) => { playback.speed = +e.target.value; };
+    el.querySelectorAll('.gpx-playback-ghosts input').forEach(cb => {
+      cb.onchange = () => {
+        const picked = [...el.querySelectorAll('.gpx-playback-ghosts input:checked')].map(c => candidates[+c.dataset.i]);
+        const { t, speed } = playback;
+        startPlayback(playback.track, picked);
+        playback.speed = speed;
+        playback.el.querySelector('.gpx-playback-speed').value = speed;
+        setPlaybackTime(t);
+      };
+    });
+
+    document.body.appendChild(el);
+    playback.el = el;
+  }
+
+  // ── Track editor ──────────────────────────────────────────────────
+  const EDIT_UNDO_LIMIT = 50;
+  const EDIT_HINTS = {
+    trim: 'Drag the green and red handles to trim the start and end.',
+    lasso: 'Drag on the map to circle the points you want to delete.',
+    split: 'Click the track where it should be split into two tours.',
+  };
+  // { track, points, start, end, history, mode, original, lassoPath, lassoLine, keptLine, trimmedLine, handles, el }
+  let editor = null;
+
+  function openTrackEditor(track) {
+    if (!track.points || track.points.length < 2) return;
+    stopPlayback();
+    closeTrackEditor();
+    closeRoutePlanner();
+    clearDescentHighlight();
+    const L = leafletRef;
+    editor = {
+      track,
+      points: track.points.slice(),
+      start: 0,
+      end: track.points.length - 1,
+      history: [],
+      mode: 'trim',
+      original: null,     // stored pre-edit version, if this track was edited before
+      lassoPath: null,
+      lassoLine: null,
+      el: null,
+    };
+    if (track.layer) mapRef.removeLayer(track.layer);
+    editor.trimmedLine = L.polyline([], {
+      color: '#888', weight: 3, opacity: 0.7, dashArray: '4 6', interactive: false, renderer: overlayRenderer,
+    }).addTo(mapRef);
+    editor.keptLine = L.polyline([], {
+      color: track.color, weight: TRACK_WEIGHT + 1, opacity: 1, lineJoin: 'round', lineCap: 'round',
+      renderer: overlayRenderer,
+    }).addTo(mapRef);
+    editor.keptLine.on('click', (e) => {
+      if (editor.mode !== 'split') return;
+      L.DomEvent.stopPropagation(e);
+      splitEditedTrack(nearestPointIndex(editor.points, e.latlng, editor.start + 1, editor.end - 1));
+    });
+    editor.handles = ['start', 'end'].map(which => {
+      const handle = L.marker(L.latLng(0, 0), {
+        draggable: true,
+        title: which === 'start' ? 'Drag to trim the start' : 'Drag to trim the end',
+        icon: L.divIcon({ className: `gpx-edit-handle gpx-edit-handle-${which}`, iconSize: [16, 16] }),
+      }).addTo(mapRef);
+      let before = null;
+      handle.on('dragstart', () => { before = { points: editor.points, start: editor.start, end: editor.end }; });
+      handle.on('drag', () => {
+        const latlng = handle.getLatLng();
+        if (which === 'start') editor.start = nearestPointIndex(editor.points, latlng, 0, editor.end - 1);
+        else editor.end = nearestPointIndex(editor.points, latlng, editor.start + 1, editor.points.length - 1);
+        redrawEditor(false);
+      });
+      handle.on('dragend', () => {
+        if (before.start !== editor.start || before.end !== editor.end) pushEditHistory(before);
+        redrawEditor();
+      });
+      return handle;
+    });
+
+    const container = mapRef.getContainer();
+    container.addEventListener('pointerdown', onLassoDown);
+    container.addEventListener('pointermove', onLassoMove);
+    container.addEventListener('pointerup', onLassoUp);
+
+    loadStoredOriginal(track).then(original => {
+      if (!editor || editor.track !== track) return;
+      editor.original = original;
+      renderEditorPanel();
+    });
+    renderEditorPanel();
+    redrawEditor();
+  }
+
+  function closeTrackEditor() {
+    if (!editor) return;
+    const { track } = editor;
+    [editor.keptLine, editor.trimmedLine, editor.lassoLine, ...editor.handles]
+      .forEach(l => { if (l) mapRef.removeLayer(l); });
+    const container = mapRef.getContainer();
+    container.removeEventListener('pointerdown', onLassoDown);
+    container.removeEventListener('pointermove', onLassoMove);
+    container.removeEventListener('pointerup', onLassoUp);
+    container.classList.remove('gpx-edit-lasso', 'gpx-edit-split');
+    mapRef.dragging.enable();
+    if (editor.el) editor.el.remove();
+    editor = null;
+    if (track.visible && track.layer) track.layer.addTo(mapRef);
+  }
+
+  // Stored copy of the track as it was before its first saved edit
+  async function loadStoredOriginal(track) {
+    let stored = null;
+    if (track.uploadId) stored = await getUpload(track.uploadId);
+    else if (track.filename) stored = await getCached(trackKey(track));
+    return (stored && stored.original) || null;
+  }
+
+  function pushEditHistory(entry = { points: editor.points, start: editor.start, end: editor.end }) {
+    editor.history.push(entry);
+    if (editor.history.length > EDIT_UNDO_LIMIT) editor.history.shift();
+  }
+
+  function undoEdit() {
+    const prev = editor.history.pop();
+    if (!prev) return;
+    Object.assign(editor, prev);
+    redrawEditor();
+  }
+
+  function revertEdit() {
+    pushEditHistory();
+    editor.points = editor.original.points.slice();
+    editor.start = 0;
+    editor.end = editor.points.length - 1;
+    redrawEditor();
+  }
+
+  function setEditorMode(mode) {
+    editor.mode = mode;
+    const container = mapRef.getContainer();
+    container.classList.toggle('gpx-edit-lasso', mode === 'lasso');
+    container.classList.toggle('gpx-edit-split', mode === 'split');
+    if (mode === 'lasso') mapRef.dragging.disable();
+    else mapRef.dragging.enable();
+    renderEditorPanel();
+  }
+
+  // `moveHandles` is false while a handle is being dragged, so Leaflet keeps control of it
+  function redrawEditor(moveHandles = true) {
+    const { points, start, end } = editor;
+    const toLatLng = p => [p.lat, p.lon];
+    editor.keptLine.setLatLngs(points.slice(start, end + 1).map(toLatLng));
+    editor.trimmedLine.setLatLngs([
+      points.slice(0, start + 1).map(toLatLng),
+      points.slice(end).map(toLatLng),
+    ].filter(part => part.length > 1));
+    if (moveHandles) {
+      editor.handles[0].setLatLng(toLatLng(points[start]));
+      editor.handles[1].setLatLng(toLatLng(points[end]));
+    }
+    updateEditorStats();
+  }
+
+  function updateEditorStats() {
+    const el = editor.el;
+    if (!el) return;
+    const s = computeTrackStats(editor.points.slice(editor.start, editor.end + 1));
+    el.querySelector('.gpx-editor-stats').innerHTML = s
+      ? `${s.distance} km &middot; +${s.elevGain} m &middot; &minus;${s.elevLoss} m &middot; ${formatDuration(s.movingTimeMs)} moving`
+      : '\u2014';
+    el.querySelector('.gpx-editor-count').textContent =
+      `${editor.end - editor.start + 1} of ${editor.track.points.length} points kept`;
+    el.querySelector('[data-action="undo"]').disabled = editor.history.length === 0;
+  }
+
+  function renderEditorPanel() {
+    if (editor.el) editor.el.remove();
+    const { track, mode } = editor;
+    const el = document.createElement('div');
+    el.className = 'gpx-editor';
+    const stored = track.uploadId || track.filename;
+    el.innerHTML = `
+      <div class="gpx-detail-header">
+        <div class="gpx-detail-title">Edit: ${escapeHtml(track.name)}</div>
+        <button class="gpx-detail-close" title="Discard changes">&times;</button>
+      </div>
+      <div class="gpx-editor-stats"></div>
+      <div class="gpx-editor-count"></div>
+      <div class="gpx-editor-modes">
+        ${Object.keys(EDIT_HINTS).map(m => `
+          <button class="gpx-detail-action${m === mode ? ' active' : ''}" data-mode="${m}">${m[0].toUpperCase()}${m.slice(1)}</button>`).join('')}
+      </div>
+      <div class="gpx-editor-hint">${EDIT_HINTS[mode]}${stored ? '' : ' Edits to this track are not stored.'}</div>
+      <div class="gpx-detail-actions">
+        <button class="gpx-detail-action" data-action="undo">&#8630; Undo</button>
+        <button class="gpx-detail-action" data-action="revert"${editor.original ? '' : ' disabled'}
+          title="Go back to the track as first loaded">Revert to original</button>
+        <span class="gpx-editor-spacer"></span>
+        <button class="gpx-detail-action" data-action="cancel">Cancel</button>
+        <button class="gpx-detail-action gpx-editor-save" data-action="save">Save</button>
+      </div>`;
+
+    el.querySelector('.gpx-detail-close').onclick = closeTrackEditor;
+    el.querySelectorAll('[data-mode]').forEach(btn => {
+      btn.onclick = () => setEditorMode(btn.dataset.mode);
+    });
+    el.querySelector('[data-action="undo"]').onclick = undoEdit;
+    el.querySelector('[data-action="revert"]').onclick = revertEdit;
+    el.querySelector('[data-action="cancel"]').onclick = closeTrackEditor;
+    el.querySelector('[data-action="save"]').onclick = saveEditedTrack;
+
+    document.body.appendChild(el);
+    editor.el = el;
+    updateEditorStats();
+  }
+
+  // ── Lasso selection ──
+  function onLassoDown(e) {
+    if (!editor || editor.mode !== 'lasso' || e.button !== 0) return;
+    if (e.target.closest('.leaflet-control, .leaflet-marker-icon')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    editor.lassoPath = [mapRef.mouseEventToLatLng(e)];
+    editor.lassoLine = leafletRef.polygon(editor.lassoPath, {
+      color: '#cc0000', weight: 1, dashArray: '3 3', fillOpacity: 0.1, interactive: false, renderer: overlayRenderer,
+    }).addTo(mapRef);
+    e.target.setPointerCapture?.(e.pointerId);
+  }
+
+  function onLassoMove(e) {
+    if (!editor || !editor.lassoPath) return;
+    editor.lassoPath.push(mapRef.mouseEventToLatLng(e));
+    editor.lassoLine.setLatLngs(editor.lassoPath);
+  }
+
+  function onLassoUp() {
+    if (!editor || !editor.lassoPath) return;
+    const polygon = editor.lassoPath;
+    mapRef.removeLayer(editor.lassoLine);
+    editor.lassoPath = null;
+    editor.lassoLine = null;
+    if (polygon.length >= 3) deletePointsInPolygon(polygon);
+  }
+
+  function pointInPolygon(p, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i], b = polygon[j];
+      if ((a.lat > p.lat) !== (b.lat > p.lat) &&
+          p.lon < (b.lng - a.lng) * (p.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function deletePointsInPolygon(polygon) {
+    // Trim handles stay on their point, or move inward to the nearest one that survives
+    const kept = [];
+    let start = null, end = 0;
+    editor.points.forEach((p, i) => {
+      if (pointInPolygon(p, polygon)) return;
+      if (start === null && i >= editor.start) start = kept.length;
+      if (i <= editor.end) end = kept.length;
+      kept.push(p);
+    });
+    if (kept.length === editor.points.length) return;
+    if (kept.length < 2) {
+      console.warn('[GPX Overlay] Lasso would delete the whole track');
+      return;
+    }
+    pushEditHistory();
+    editor.points = kept;
+    if (start === null || end <= start) {
+      start = 0;
+      end = kept.length - 1;
+    }
+    editor.start = start;
+    editor.end = end;
+    redrawEditor();
+  }
+
+  // ── Saving ──
+  function replaceTrackPoints(track, points) {
+    if (track.layer) mapRef.removeLayer(track.layer);
+    track._series = null;
+    track._chunks = null;
+    track._graded = null;
+    track._laps = null;
+    const dateStr = track.date ? track.date.toISOString() : null;
+    addTrack(points.map(p => [p.lat, p.lon]), track.name, track.visible, dateStr, points, track);
+  }
+
+  // Store edited points in IndexedDB; the first stored version is kept as `original` for reverting
+  async function storeTrackPoints(track, points, original) {
+    const coords = points.map(p => [p.lat, p.lon]);
+    const isOriginal = original && original.points.length === points.length &&
+      points.every((p, i) => p === original.points[i]);
+    const withOriginal = ({ original: prev, ...rest }) => isOriginal
+      ? { ...rest, coords, points }
+      : { ...rest, coords, points, original: prev || { coords: rest.coords, points: rest.points } };
+
+    if (track.uploadId) {
+      const record = await getUpload(track.uploadId);
+      if (record) await putUpload(withOriginal(record));
+    } else if (track.filename) {
+      const entry = await getCached(trackKey(track));
+      if (entry) await putCache(trackKey(track), withOriginal(entry));
+    }
+  }
+
+  async function saveEditedTrack() {
+    const { track, points, start, end, original } = editor;
+    const edited = points.slice(start, end + 1);
+    closeTrackEditor();
+    await storeTrackPoints(track, edited, original);
+    replaceTrackPoints(track, edited);
+    console.log(`[GPX Overlay] Saved edit of "${track.name}": ${edited.length} points`);
+    if (selectedTrack === track) showTrackDetail(track);
+  }
+
+  // Split the kept range at point `i`: the first part replaces the track, the second becomes an upload
+  async function splitEditedTrack(i) {
+    const { track, points, start, end, original } = editor;
+    if (i <= start || i >= end) return;
+    if (!window.confirm(`Split "${track.name}" into two tours here?`)) return;
+    const first = points.slice(start, i + 1);
+    const second = points.slice(i, end + 1);
+    closeTrackEditor();
+    await storeTrackPoints(track, first, original);
+    replaceTrackPoints(track, first);
+
+    const coords = second.map(p => [p.lat, p.lon]);
+    const date = second[0].time ? new Date(second[0].time).toISOString()
+      : track.date ? track.date.toISOString() : null;
+    const record = {
+      id: newUploadId(),
+      name: `${track.name} (2)`,
+      date, coords, points: second,
+      sourceFile: track.filename || null,
+      addedAt: Date.now(),
+    };
+    await putUpload(record);
+    expandedSeasons.add(UPLOADS_GROUP);
+    addTrack(coords, record.name, track.visible, date, second, null, { uploadId: record.id });
+    console.log(`[GPX Overlay] Split "${track.name}" at point ${i - start}`);
+    if (selectedTrack === track) showTrackDetail(track);
+  }
+
+  // ── Route planner ─────────────────────────────────────────────────
+  const ROUTES_GROUP = 'Planned routes';
+  const ROUTE_COLOR = '#ff9900';
+  const ROUTE_DASH = '8 6';         // saved routes are drawn dashed to tell them apart from recordings
+  const ROUTE_SAMPLE_M = 50;        // profile resolution along straight legs
+  const ROUTE_SNAP_PX = 15;         // clicks this close to a visible track snap onto it
+  const ROUTE_ELE_RADIUS_M = 150;   // borrow elevation from recorded points within this distance
+  const ELE_GRID_DEG = 0.005;       // cell size of the elevation lookup grid
+  // { route, waypoints: [{ lat, lon, snap, leg }], history, eleGrid, line, markers, el }
+  // `leg` holds the points from the previous waypoint up to this one; `snap` is { track, index } or null
+  let planner = null;
+
+  function openRoutePlanner(route = null) {
+    closeRoutePlanner();
+    closeTrackEditor();
+    stopPlayback();
+    if (selectedTrack) hideTrackDetail();
+    planner = {
+      route,
+      waypoints: route && route.waypoints ? route.waypoints.map(w => ({ ...w, snap: null })) : [],
+      history: [],
+      eleGrid: buildElevationGrid(),
+      line: leafletRef.polyline([], {
+        color: ROUTE_COLOR, weight: TRACK_WEIGHT, opacity: 1, dashArray: ROUTE_DASH, interactive: false,
+        renderer: overlayRenderer,
+      }).addTo(mapRef),
+      markers: [],
+      el: null,
+    };
+    if (route && route.layer) mapRef.removeLayer(route.layer);
+    mapRef.on('click', onPlannerMapClick);
+    mapRef.getContainer().classList.add('gpx-planning');
+    renderPlannerPanel();
+    updatePlanner();
+  }
+
+  function closeRoutePlanner() {
+    if (!planner) return;
+    const { route } = planner;
+    mapRef.off('click', onPlannerMapClick);
+    mapRef.getContainer().classList.remove('gpx-planning');
+    mapRef.removeLayer(planner.line);
+    planner.markers.forEach(m => mapRef.removeLayer(m));
+    if (chartState && chartState.track.planned) {
+      clearChartHighlight();
+      chartState = null;
+    }
+    if (planner.el) planner.el.remove();
+    planner = null;
+    if (route && route.visible && route.layer) route.layer.addTo(mapRef);
+  }
+
+  // Recorded track points bucketed by lat/lon cell, for elevation lookups along a route
+  function buildElevationGrid() {
+    const grid = new Map();
+    tracks.forEach(t => {
+      if (!t.points || t.routeId) return;
+      t.points.forEach(p => {
+        if (p.ele === null) return;
+        const key = `${Math.floor(p.lat / ELE_GRID_DEG)}:${Math.floor(p.lon / ELE_GRID_DEG)}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(p);
+      });
+    });
+    return grid;
+  }
+
+  function lookupElevation(grid, lat, lon) {
+    const cy = Math.floor(lat / ELE_GRID_DEG);
+    const cx = Math.floor(lon / ELE_GRID_DEG);
+    let best = null, bestD = ROUTE_ELE_RADIUS_M / 1000;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        (grid.get(`${cy + dy}:${cx + dx}`) || []).forEach(p => {
+          const d = haversineKm(lat, lon, p.lat, p.lon);
+          if (d < bestD) { bestD = d; best = p; }
+        });
+      }
+    }
+    return best ? best.ele : null;
+  }
+
+  // Ground distance covered by `px` screen pixels around latlng at the current zoom
+  function pixelRadiusKm(latlng, px) {
+    const edge = mapRef.containerPointToLatLng(mapRef.latLngToContainerPoint(latlng).add([px, 0]));
+    return mapRef.distance(latlng, edge) / 1000;
+  }
+
+  // Nearest point on a visible recorded track within ROUTE_SNAP_PX of the click
+  function snapToTrack(latlng) {
+    const maxKm = pixelRadiusKm(latlng, ROUTE_SNAP_PX);
+    let best = null;
+    tracks.forEach(t => {
+      if (!t.visible || !t.points || t.routeId) return;
+      const index = nearestPointIndex(t.points, latlng);
+      const p = t.points[index];
+      const d = haversineKm(latlng.lat, latlng.lng, p.lat, p.lon);
+      if (d <= maxKm && (!best || d < best.d)) best = { track: t, index, d };
+    });
+    return best && { track: best.track, index: best.index };
+  }
+
+  function makeWaypoint(latlng) {
+    const snap = planner.el.querySelector('.gpx-planner-snap').checked ? snapToTrack(latlng) : null;
+    if (snap) {
+      const p = snap.track.points[snap.index];
+      return { lat: p.lat, lon: p.lon, snap, leg: null };
+    }
+    return { lat: latlng.lat, lon: latlng.lng, snap: null, leg: null };
+  }
+
+  // Legs between two waypoints snapped to the same track follow it; others are sampled straight lines
+  function computeLeg(prev, wp) {
+    const grid = planner.eleGrid;
+    if (!prev) return [{ lat: wp.lat, lon: wp.lon, ele: lookupElevation(grid, wp.lat, wp.lon), time: null }];
+    if (wp.snap && prev.snap && wp.snap.track === prev.snap.track) {
+      const pts = wp.snap.track.points;
+      const step = wp.snap.index >= prev.snap.index ? 1 : -1;
+      const leg = [];
+      for (let i = prev.snap.index + step; i !== wp.snap.index + step; i += step) {
+        leg.push({ lat: pts[i].lat, lon: pts[i].lon, ele: pts[i].ele, time: null });
+      }
+      return leg;
+    }
+    const n = Math.max(1, Math.ceil(haversineKm(prev.lat, prev.lon, wp.lat, wp.lon) * 1000 / ROUTE_SAMPLE_M));
+    const leg = [];
+    for (let k = 1; k <= n; k++) {
+      const lat = prev.lat + (wp.lat - prev.lat) * k / n;
+      const lon = prev.lon + (wp.lon - prev.lon) * k / n;
+      leg.push({ lat, lon, ele: lookupElevation(grid, lat, lon), time: null });
+    }
+    return leg;
+  }
+
+  // Concatenated legs, with elevation gaps interpolated between the nearest known values
+  function plannedRoutePoints() {
+    const points = planner.waypoints.flatMap(w => w.leg).map(p => ({ ...p }));
+    let lastKnown = -1;
+    points.forEach((p, i) => {
+      if (p.ele === null) return;
+      for (let j = lastKnown + 1; j < i; j++) {
+        points[j].ele = lastKnown < 0 ? p.ele
+          : points[lastKnown].ele + (p.ele - points[lastKnown].ele) * (j - lastKnown) / (i - lastKnown);
+      }
+      lastKnown = i;
+    });
+    if (lastKnown >= 0) {
+      for (let j = lastKnown + 1; j < points.length; j++) points[j].ele = points[lastKnown].ele;
+    }
+    return points;
+  }
+
+  // Apply `fn` to a copy of the waypoint list, then recompute every leg whose endpoints changed
+  function editWaypoints(fn) {
+    planner.history.push(planner.waypoints.slice());
+    const before = planner.waypoints;
+    planner.waypoints = fn(before.slice());
+    planner.waypoints.forEach((w, i) => {
+      const prev = planner.waypoints[i - 1] || null;
+      if (w.leg && before[i] === w && (before[i - 1] || null) === prev) return;
+      planner.waypoints[i] = { ...w, leg: computeLeg(prev, w) };
+    });
+    updatePlanner();
+  }
+
+  function onPlannerMapClick(e) {
+    editWaypoints(wps => [...wps, makeWaypoint(e.latlng)]);
+  }
+
+  function undoPlanner() {
+    const prev = planner.history.pop();
+    if (!prev) return;
+    planner.waypoints = prev;
+    updatePlanner();
+  }
+
+  function updatePlanner() {
+    const L = leafletRef;
+    const points = plannedRoutePoints();
+    planner.points = points;
+    planner.line.setLatLngs(points.map(p => [p.lat, p.lon]));
+
+    planner.markers.forEach(m => mapRef.removeLayer(m));
+    planner.markers = planner.waypoints.map((w, i) => {
+      const marker = L.marker([w.lat, w.lon], {
+        draggable: true,
+        title: 'Drag to move, right-click to remove',
+        icon: L.divIcon({ className: 'gpx-route-waypoint', html: `${i + 1}`, iconSize: [18, 18] }),
+      }).addTo(mapRef);
+      marker.on('dragend', () => {
+        editWaypoints(wps => { wps[i] = makeWaypoint(marker.getLatLng()); return wps; });
+      });
+      marker.on('contextmenu', (e) => {
+        L.DomEvent.preventDefault(e.originalEvent);
+        editWaypoints(wps => { wps.splice(i, 1); return wps; });
+      });
+      return marker;
+    });
+
+    const el = planner.el;
+    const s = computeTrackStats(points);
+    const known = points.filter(p => p.ele !== null).length;
+    const withEle = planner.waypoints.flatMap(w => w.leg).filter(p => p.ele !== null).length;
+    el.querySelector('.gpx-planner-stats').innerHTML = s
+      ? `${s.distance} km &middot; +${s.elevGain} m &middot; &minus;${s.elevLoss} m &middot; ~${formatDuration(estimateMovingTimeMs(s.elevGain, s.distance))}`
+      : `${planner.waypoints.length} waypoint${planner.waypoints.length === 1 ? '' : 's'}`;
+    el.querySelector('.gpx-planner-coverage').textContent = points.length < 2 ? ''
+      : known === 0 ? 'No recorded tracks nearby \u2014 elevation unknown'
+      : `Elevation from recorded tracks for ${Math.round(withEle / points.length * 100)}% of the route`;
+    const chart = el.querySelector('.gpx-chart');
+    if (s && known > 0) renderElevationChart(chart, { name: 'Planned route', color: ROUTE_COLOR, points, planned: true });
+    else chart.innerHTML = '';
+    el.querySelector('[data-action="undo"]').disabled = planner.history.length === 0;
+    ['clear', 'export', 'save'].forEach(a => {
+      el.querySelector(`[data-action="${a}"]`).disabled = points.length < 2 && a !== 'clear';
+    });
+  }
+
+  function renderPlannerPanel() {
+    const el = document.createElement('div');
+    el.className = 'gpx-editor gpx-planner';
+    const name = planner.route ? planner.route.name : '';
+    el.innerHTML = `
+      <div class="gpx-detail-header">
+        <div class="gpx-detail-title">${planner.route ? 'Edit route' : 'Plan route'}</div>
+        <button class="gpx-detail-close" title="Close">&times;</button>
+      </div>
+      <input class="gpx-planner-name" placeholder="Route name" value="${escapeHtml(name)}">
+      <div class="gpx-editor-stats gpx-planner-stats"></div>
+      <div class="gpx-editor-count gpx-planner-coverage"></div>
+      <div class="gpx-chart"></div>
+      <label class="gpx-planner-option"><input type="checkbox" class="gpx-planner-snap" checked> Snap to visible tracks</label>
+      <div class="gpx-editor-hint">Click the map to add waypoints. Drag to move, right-click to remove.</div>
+      <div class="gpx-detail-actions">
+        <button class="gpx-detail-action" data-action="undo">&#8630; Undo</button>
+        <button class="gpx-detail-action" data-action="clear">Clear</button>
+        <span class="gpx-editor-spacer"></span>
+        <button class="gpx-detail-action" data-action="export">Export GPX</button>
+        <button class="gpx-detail-action gpx-editor-save" data-action="save">Save</button>
+      </div>`;
+
+    el.querySelector('.gpx-detail-close').onclick = closeRoutePlanner;
+    el.querySelector('[data-action="undo"]').onclick = undoPlanner;
+    el.querySelector('[data-action="clear"]').onclick = () => editWaypoints(() => []);
+    el.querySelector('[data-action="export"]').onclick = () => {
+      exportTracks([{ name: plannerRouteName(), date: null, points: planner.points }], 'gpx');
+    };
+    el.querySelector('[data-action="save"]').onclick = saveRoute;
+
+    document.body.appendChild(el);
+    planner.el = el;
+  }
+
+  function plannerRouteName() {
+    return planner.el.querySelector('.gpx-planner-name').value.trim() || 'Planned route';
+  }
+
+  async function saveRoute() {
+    const { route, points } = planner;
+    const name = plannerRouteName();
+    const coords = points.map(p => [p.lat, p.lon]);
+    const waypoints = planner.waypoints.map(w => ({ lat: w.lat, lon: w.lon, leg: w.leg }));
+    const existing = route && await getRoute(route.routeId);
+    const record = {
+      id: route ? route.routeId : `route-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name, coords, points, waypoints,
+      addedAt: (existing && existing.addedAt) || Date.now(),
+    };
+    await putRoute(record);
+    closeRoutePlanner();
+    if (route) {
+      route.name = name;
+      route.waypoints = waypoints;
+      replaceTrackPoints(route, points);
+    } else {
+      expandedSeasons.add(ROUTES_GROUP);
+      addTrack(coords, name, true, null, points, null, { routeId: record.id, waypoints });
+    }
+    console.log(`[GPX Overlay] Saved route "${name}": ${points.length} points`);
+  }
+
+  // Planned routes saved in IndexedDB
+  async function loadRoutes() {
+    const routes = await getAllRoutes();
+    routes.sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+    routes.forEach(r => addTrack(r.coords, r.name, false, null, r.points, null, { routeId: r.id, waypoints: r.waypoints }));
+    if (routes.length) console.log(`[GPX Overlay] Restored ${routes.length} planned route(s)`);
+  }
+
+  function renameRoute(track) {
+    const name = window.prompt('Rename route', track.name);
+    if (name === null || !name.trim()) return;
+    track.name = name.trim();
+    getRoute(track.routeId).then(record => {
+      if (record) putRoute({ ...record, name: track.name });
+    });
+    if (selectedTrack === track) showTrackDetail(track);
+    updateTrackList();
+  }
+
+  function removeRoute(track) {
+    if (!window.confirm(`Delete the planned route "${track.name}"?`)) return;
+    if (selectedTrack === track) hideTrackDetail();
+    if (planner && planner.route === track) closeRoutePlanner();
+    if (track.layer && track.visible) mapRef.removeLayer(track.layer);
+    const idx = tracks.indexOf(track);
+    if (idx >= 0) tracks.splice(idx, 1);
+    deleteRoute(track.routeId);
+    updateTrackList();
+  }
+
+  // ── Track detail panel ────────────────────────────────────────────
+  function showTrackDetail(track) {
+    if (!detailPanelEl) {
+      detailPanelEl = document.createElement('div');
+      detailPanelEl.className = 'gpx-detail';
+      document.body.appendChild(detailPanelEl);
+    }
+    selectedTrack = track;
+    clearChartHighlight();
+    clearLapHighlight();
+    clearDescentHighlight();
+    chartState = null;
+    const s = track.stats;
+    if (!s) {
+      detailPanelEl.innerHTML = `
+        <div class="gpx-detail-header">
+          <div>
+            <div class="gpx-detail-title">${escapeHtml(track.name)}</div>
+            <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
+          </div>
+          <button class="gpx-detail-close" title="Close">&times;</button>
+        </div>
+        <div style="color:#888">No elevation/time data available</div>`;
+      detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
+      detailPanelEl.style.display = 'block';
+      return;
+    }
+
+    if (!track.gpxLoaded) {
+      detailPanelEl.innerHTML = `
+        <div class="gpx-detail-header">
+          <div>
+            <div class="gpx-detail-title">${escapeHtml(track.name)}</div>
+            <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
+          </div>
+          <button class="gpx-detail-close" title="Close">&times;</button>
+        </div>
+        <div class="gpx-detail-grid">
+          <div><div class="gpx-detail-label">Distance</div><div class="gpx-detail-value">${s.distance ?? '\u2014'} km</div></div>
+          <div><div class="gpx-detail-label">Max elevation</div><div class="gpx-detail-value">${s.maxEle ?? '\u2014'} m</div></div>
+          <div><div class="gpx-detail-label">Ascent</div><div class="gpx-detail-value">${s.elevGain ?? '\u2014'} m</div></div>
+        </div>
+        <div style="color:#aaa;font-size:11px;margin-top:8px">Click to load full data &amp; route</div>`;
+      detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
+      detailPanelEl.style.display = 'block';
+      return;
+    }
+
+    if (track.routeId) {
+      detailPanelEl.innerHTML = `
+        <div class="gpx-detail-header">
+          <div>
+            <div class="gpx-detail-title">${escapeHtml(track.name)}</div>
+            <div class="gpx-detail-date">Planned route</div>
+          </div>
+          <button class="gpx-detail-close" title="Close">&times;</button>
+        </div>
+        <div class="gpx-detail-grid">
+          <div><div class="gpx-detail-label">Distance</div><div class="gpx-detail-value">${s.distance} km</div></div>
+          <div><div class="gpx-detail-label">Max elevation</div><div class="gpx-detail-value">${s.maxEle ?? '\u2014'} m</div></div>
+          <div><div class="gpx-detail-label">Ascent</div><div class="gpx-detail-value">${s.elevGain} m</div></div>
+          <div><div class="gpx-detail-label">Descent</div><div class="gpx-detail-value">${s.elevLoss} m</div></div>
+        </div>
+        <div class="gpx-detail-highlight">
+          <div class="gpx-detail-label">Estimated moving time</div>
+          <div class="gpx-detail-value">${formatDuration(estimateMovingTimeMs(s.elevGain, s.distance))}</div>
+        </div>
+        <div class="gpx-chart"></div>
+        <div class="gpx-detail-actions">
+          <button class="gpx-detail-action" data-action="edit">&#9998; Edit route</button>
+          <button class="gpx-detail-action" data-action="export">Export GPX</button>
+        </div>`;
+      detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
+      renderElevationChart(detailPanelEl.querySelector('.gpx-chart'), track);
+      detailPanelEl.querySelector('[data-action="edit"]').onclick = () => openRoutePlanner(track);
+      detailPanelEl.querySelector('[data-action="export"]').onclick = () => exportTracks([track], 'gpx');
+      detailPanelEl.style.display = 'block';
+      return;
+    }
+
+    const timed = playbackSeries(track).hasTime;
+    const raceCandidates = timed ? findSameTourTracks(track) : [];
+    const incompleteWarning = s.incomplete
+      ? '<div class="gpx-detail-warning">Incomplete recording — stats may be inaccurate</div>'
+      : '';
+
+    detailPanelEl.innerHTML = `
+      <div class="gpx-detail-header">
+        <div>
+          <div class="gpx-detail-title">${escapeHtml(track.name)}</div>
+          <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
+        </div>
+        <button class="gpx-detail-close" title="Close">&times;</button>
+      </div>
+      ${incompleteWarning}
+      <div class="gpx-detail-grid">
+        <div><div class="gpx-detail-label">Distance</div><div class="gpx-detail-value">${s.distance} km</div></div>
+        <div><div class="gpx-detail-label">Max elevation</div><div class="gpx-detail-value">${s.maxEle ?? '\u2014'} m</div></div>
+        <div><div class="gpx-detail-label">Ascent</div><div class="gpx-detail-value">${s.elevGain} m</div></div>
+        <div><div class="gpx-detail-label">Descent</div><div class="gpx-detail-value">${s.elevLoss} m</div></div>
+        <div><div class="gpx-detail-label">Elapsed time</div><div class="gpx-detail-value">${formatDuration(s.elapsedMs)}</div></div>
+        <div><div class="gpx-detail-label">Moving time</div><div class="gpx-detail-value">${formatDuration(s.movingTimeMs)}</div></div>
+        <div><div class="gpx-detail-label">Avg speed</div><div class="gpx-detail-value">${s.avgSpeed ?? '\u2014'} km/h</div></div>
+        <div><div class="gpx-detail-label">Start</div><div class="gpx-detail-value">${formatTime(s.startTime)}</div></div>
+      </div>
+      <div class="gpx-detail-highlight">
+        <div class="gpx-detail-label">Vert per hour</div>
+        <div class="gpx-detail-value">${s.vertPerHour ?? '\u2014'} m/h</div>
+      </div>
+      <div class="gpx-chart"></div>
+      <div class="gpx-laps"></div>
+      <div class="gpx-detail-actions">
+        <button class="gpx-detail-action" data-action="playback"${timed ? '' : ' disabled title="This recording has no timestamps to play back"'}>&#9654; Playback</button>
+        <button class="gpx-detail-action" data-action="edit" title="Trim, split or clean up this track">&#9998; Edit</button>
+        <button class="gpx-detail-action" data-action="link" title="Copy a link that opens these tracks">&#128279; Copy link</button>
+      </div>
+      ${ghostPickerHtml(raceCandidates)}`;
+    detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
+    renderElevationChart(detailPanelEl.querySelector('.gpx-chart'), track);
+    renderLapTable(detailPanelEl.querySelector('.gpx-laps'), track);
+    showDescentHighlight(track);
+    detailPanelEl.querySelector('[data-action="playback"]').onclick = () => startPlayback(track,
+      [...detailPanelEl.querySelectorAll('.gpx-playback-ghosts input:checked')].map(c => raceCandidates[+c.dataset.i]));
+    detailPanelEl.querySelector('[data-action="edit"]').onclick = () => openTrackEditor(track);
+    detailPanelEl.querySelector('[data-action="link"]').onclick = (e) => copyShareLink(e.currentTarget);
+    detailPanelEl.style.display = 'block';
+  }
+
+  function hideTrackDetail() {
+    if (detailPanelEl) detailPanelEl.style.display = 'none';
+    clearChartHighlight();
+    clearLapHighlight();
+    clearDescentHighlight();
+    chartState = null;
+    stopPlayback();
+    closeTrackEditor();
+    selectedTrack = null;
+    updateTrackList();
+  }
+
+  // Show a track picked outside the list (records, links): load it if needed, then open its details
+  async function focusTrack(track) {
+    if (!track.gpxLoaded) {
+      if (track._loading || !track.baseUrl) return;
+      track._loading = true;
+      updateTrackList();
+      try {
+        await loadGpxForTrack(track, track.baseUrl, true);
+      } catch (err) {
+        track._loading = false;
+        track._loadError = err.message;
+        failedTracks.add(track);
+        updateTrackList();
+        return;
+      }
+    }
+    if (!track.visible) {
+      track.visible = true;
+      track.layer.addTo(mapRef);
+    }
+    revealTrack(track);
+    if (track.layer && mapRef) mapRef.fitBounds(track.layer.getBounds().pad(0.1));
+  }
+
+  // ── Map selection ─────────────────────────────────────────────────
+  const PICK_RADIUS_PX = 10;  // other tracks this close to a click are offered in a chooser
+
+  function trackTooltipHtml(track) {
+    const s = track.stats;
+    const meta = [
+      track.sourceId ? escapeHtml(track.sourceId) : '',
+      formatFullDate(track.date),
+      s && s.elevGain != null ? `+${s.elevGain.toLocaleString()} m` : '',
+      s && s.distance != null ? `${s.distance} km` : '',
+    ].filter(Boolean).join(' &middot; ');
+    return `<b>${escapeHtml(track.name)}</b>${meta ? `<div class="gpx-track-tooltip-meta">${meta}</div>` : ''}`;
+  }
+
+  // Hover tooltip and click-to-select for a loaded track's map layer
+  function bindTrackSelect(track) {
+    track.layer.bindTooltip(() => trackTooltipHtml(track), {
+      sticky: true, direction: 'top', offset: [0, -10], className: 'gpx-track-tooltip',
+    });
+    track.layer.on('click', (e) => {
+      if (planner || editor) return; // those own map clicks while open
+      leafletRef.DomEvent.stopPropagation(e);
+      const hits = tracksNearLatLng(e.latlng).filter(t => t !== track);
+      if (hits.length === 0) revealTrack(track);
+      else showTrackChooser(e.latlng, [track, ...hits]);
+    });
+  }
+
+  // Visible tracks whose line passes within PICK_RADIUS_PX of latlng
+  function tracksNearLatLng(latlng) {
+    const maxKm = pixelRadiusKm(latlng, PICK_RADIUS_PX);
+    return tracks.filter(t => {
+      if (!t.visible || !t.points || !t.layer || !t.layer.hasLayer(t._line)) return false;
+      const p = t.points[nearestPointIndex(t.points, latlng)];
+      return haversineKm(latlng.lat, latlng.lng, p.lat, p.lon) <= maxKm;
+    });
+  }
+
+  function showTrackChooser(latlng, list) {
+    leafletRef.popup({ maxHeight: 260 })
+      .setLatLng(latlng)
+      .setContent(trailheadPopup({ tracks: list }, `${list.length} tracks here`, revealTrack))
+      .openOn(mapRef);
+  }
+
+  // Select a track and bring its row into view: expand its group and scroll the list to it
+  function revealTrack(track) {
+    if (selectedTrack !== track) showTrackDetail(track);
+    const group = listGroupForTrack(track);
+    if (isFilterActive()) filterCollapsedSeasons.delete(group);
+    else expandedSeasons.add(group);
+    updateTrackList();
+    const row = trackListEl && trackListEl.querySelector('.gpx-track-item.selected');
+    if (row && !panelMinimized) row.scrollIntoView({ block: 'nearest' });
+  }
+
+  // ── Tour badges ───────────────────────────────────────────────────
+  // While a topptur.guide tour is open (/<tour id>), show how often we've done it
+  const TOUR_PATH_RE = /^\/(\d+)(?:\/|$)/;
+  const TOUR_CHECK_DELAY_MS = 200;  // debounce for route and DOM changes
+  const TOUR_BADGE_LINKS = 5;   // newest matches linked by date; the rest via "Show all"
+  let tourCatalogPromise = null;
+  let tourBadge = null;         // { tourId, count, inline, el }
+  let tourWatching = false;
+  let tourObserver = null;      // watches the page while a tour is open
+  let tourCheckTimer = null;
+
+  // topptur-tours.json (scripts/fetch-tours.js) from wherever the tracks come from
+  function loadTourCatalog() {
+    if (!tourCatalogPromise) tourCatalogPromise = fetchDataFile('topptur-tours.json', []);
+    return tourCatalogPromise;
+  }
+
+  // Same rule as matchTracksToTours in recommend.html: start within MATCH_RADIUS_KM and a
+  // similar top elevation. Only our own tracks count; newest first.
+  function tracksForTour(tour) {
+    return sourceTracks().filter(t => {
+      if (t.routeId) return false;
+      const start = trackStartLatLng(t);
+      if (!start) return false;
+      const maxEle = t.stats ? t.stats.maxEle : null;
+      const eleClose = maxEle == null || tour.maxEle == null ||
+        Math.abs(maxEle - tour.maxEle) < MATCH_ELE_TOLERANCE;
+      return eleClose && haversineKm(tour.startLat, tour.startLon, start[0], start[1]) < MATCH_RADIUS_KM;
+    }).sort((a, b) => (b.date || 0) - (a.date || 0));
+  }
+
+  // Load (if needed), show and fit a set of tracks
+  async function showTrackSet(list) {
+    const pending = list.filter(t => !t.gpxLoaded && !t._loading);
+    if (pending.length) await loadTracksConcurrently(pending);
+    const shown = list.filter(t => t.layer);
+    if (shown.length === 0) return;
+    shown.forEach(t => {
+      if (!t.visible) {
+        t.visible = true;
+        t.layer.addTo(mapRef);
+      }
+    });
+    updateTrackList();
+    const bounds = shown[0].layer.getBounds();
+    shown.slice(1).forEach(t => bounds.extend(t.layer.getBounds()));
+    mapRef.fitBounds(bounds.pad(0.1));
+  }
+
+  // The site's own heading for the open tour, if it has rendered one
+  function findTourHeading(name) {
+    return [...document.querySelectorAll('h1, h2, h3, h4')]
+      .find(h => h.textContent.trim().startsWith(name)) || null;
+  }
+
+  function removeTourBadge() {
+    if (!tourBadge) return;
+    tourBadge.el.remove();
+    tourBadge = null;
+  }
+
+  function renderTourBadge(tour, matches, heading) {
+    const el = document.createElement('div');
+    el.className = `gpx-tour-badge${heading ? '' : ' floating'}`;
+    const last = matches[0];
+    el.innerHTML =
+      `<span class="gpx-tour-badge-done">&#10003; Done ${matches.length}\u00d7</span>` +
+      (last.date ? `, last ${formatFullDate(last.date)}` : '') +
+      '<span class="gpx-tour-badge-links">' +
+      matches.slice(0, TOUR_BADGE_LINKS).map((t, i) =>
+        `<a data-i="${i}" title="${escapeHtml(t.name)}">${formatFullDate(t.date) || escapeHtml(t.name)}</a>`).join('') +
+      (matches.length > 1 ? '<a data-action="all">Show all</a>' : '') +
+      '</span>';
+    el.querySelectorAll('[data-i]').forEach(a => {
+      a.onclick = (e) => {
+        e.preventDefault();
+        focusTrack(matches[+a.dataset.i]);
+      };
+    });
+    const all = el.querySelector('[data-action="all"]');
+    if (all) all.onclick = (e) => {
+      e.preventDefault();
+      showTrackSet(matches);
+    };
+    if (heading) heading.insertAdjacentElement('afterend', el);
+    else document.body.appendChild(el);
+    return el;
+  }
+
+  async function checkTourView() {
+    const m = window.location.pathname.match(TOUR_PATH_RE);
+    if (!m) {
+      removeTourBadge();
+      return;
+    }
+    const tourId = +m[1];
+    const tour = (await loadTourCatalog()).find(t => t.id === tourId);
+    const matches = tour ? tracksForTour(tour) : [];
+    if (matches.length === 0) {
+      removeTourBadge();
+      return;
+    }
+    const heading = findTourHeading(tour.name);
+    // Rebuild when the tour or match count changed, the site re-rendered, or its heading appeared
+    if (tourBadge && tourBadge.tourId === tourId && tourBadge.count === matches.length &&
+        tourBadge.el.isConnected && (tourBadge.inline || !heading)) return;
+    removeTourBadge();
+    tourBadge = { tourId, count: matches.length, inline: !!heading, el: renderTourBadge(tour, matches, heading) };
+  }
+
+  function scheduleTourCheck() {
+    clearTimeout(tourCheckTimer);
+    tourCheckTimer = setTimeout(checkTourView, TOUR_CHECK_DELAY_MS);
+  }
+
+  // While a tour is open, DOM changes also trigger a check: its heading renders after the route
+  // changes, the site may re-render the badge away, and our track list changes as tracks load
+  function onTourRouteChange() {
+    const onTour = TOUR_PATH_RE.test(window.location.pathname);
+    if (onTour && !tourObserver) {
+      tourObserver = new MutationObserver(scheduleTourCheck);
+      tourObserver.observe(document.body, { childList: true, subtree: true });
+    } else if (!onTour && tourObserver) {
+      tourObserver.disconnect();
+      tourObserver = null;
+    }
+    scheduleTourCheck();
+  }
+
+  // The site is a single-page app, so tours open through pushState/popstate rather than page loads.
+  // Safe to call more than once; starts once the catalog is in.
+  function watchTourViews() {
+    if (tourWatching) return;
+    tourWatching = true;
+    loadTourCatalog().then(() => {
+      ['pushState', 'replaceState'].forEach(name => {
+        const orig = history[name];
+        history[name] = function () {
+          const result = orig.apply(this, arguments);
+          onTourRouteChange();
+          return result;
+        };
+      });
+      window.addEventListener('popstate', onTourRouteChange);
+      onTourRouteChange();
+    });
+  }
+
+  // Open a tour page through the site's own link when it has one, so its router navigates without
+  // reloading (and restarting the overlay); otherwise fall back to a normal page load
+  function openTourPage(tourId) {
+    const path = `/${tourId}`;
+    const link = document.querySelector(`a[href="${path}"]`);
+    if (link) link.click();
+    else window.location.assign(path);
+  }
+
+  // ── Tour tick-list ────────────────────────────────────────────────
+  // Start markers for every tour in topptur-tours.json, colored by ATES; tours we've never
+  // done are filled, done ones are rings
+  const ATES_LABELS = ['Not rated', 'Simple', 'Challenging', 'Complex', 'Extreme'];  // as in recommend.html
+  const ATES_COLORS = ['#999999', '#00B050', '#0070C0', '#FF0000', '#000000'];
+  const tourFilter = { minAscent: '', maxAscent: '', maxDrive: '', ates: new Set([0, 1, 2, 3, 4]), onlyNotDone: false };
+  let tourLayer = null;
+  let toursPanelEl = null;
+
+  function tourMatchesFilter(tour, doneCount) {
+    const f = tourFilter;
+    if (!f.ates.has(tour.ates || 0)) return false;
+    if (f.onlyNotDone && doneCount > 0) return false;
+    if (f.minAscent !== '' && (tour.ascent || 0) < +f.minAscent) return false;
+    if (f.maxAscent !== '' && (tour.ascent || 0) > +f.maxAscent) return false;
+    if (f.maxDrive !== '' && tour.distFromTromso > +f.maxDrive) return false;
+    return true;
+  }
+
+  function tourTooltipHtml(tour, doneCount) {
+    const meta = [
+      `ATES ${tour.ates || '\u2014'} ${ATES_LABELS[tour.ates] || ''}`,
+      tour.ascent ? `+${tour.ascent.toLocaleString()} m` : '',
+      tour.distance ? `${tour.distance} km` : '',
+      tour.distFromTromso != null ? `${tour.distFromTromso} km from Troms\u00f8` : '',
+    ].filter(Boolean).join(' &middot; ');
+    return `<b>${escapeHtml(tour.name)}</b>${tour.place ? ` (${escapeHtml(tour.place)})` : ''}` +
+      `<div class="gpx-track-tooltip-meta">${meta}</div>` +
+      `<div>${doneCount > 0 ? `Done ${doneCount}\u00d7` : 'Not done yet'}</div>`;
+  }
+
+  async function refreshTourLayer() {
+    if (!tourLayer) return;
+    const catalog = await loadTourCatalog();
+    if (!tourLayer) return;
+    const L = leafletRef;
+    tourLayer.clearLayers();
+    let shown = 0, notDone = 0;
+    catalog.forEach(tour => {
+      const doneCount = tracksForTour(tour).length;
+      if (!tourMatchesFilter(tour, doneCount)) return;
+      const color = ATES_COLORS[tour.ates] || ATES_COLORS[0];
+      const marker = L.circleMarker([tour.startLat, tour.startLon], doneCount > 0
+        ? { radius: 5, color, weight: 2, fillColor: 'white', fillOpacity: 0.8, renderer: overlayRenderer }
+        : { radius: 8, color: 'white', weight: 2, fillColor: color, fillOpacity: 1, renderer: overlayRenderer });
+      marker.bindTooltip(tourTooltipHtml(tour, doneCount), { direction: 'top', offset: [0, -6], className: 'gpx-track-tooltip' });
+      marker.on('click', (e) => {
+        leafletRef.DomEvent.stopPropagation(e);
+        openTourPage(tour.id);
+      });
+      tourLayer.addLayer(marker);
+      shown++;
+      if (doneCount === 0) notDone++;
+    });
+    if (toursPanelEl) {
+      toursPanelEl.querySelector('.gpx-tours-count').textContent =
+        catalog.length ? `${shown} shown \u00b7 ${notDone} not done` : 'topptur-tours.json not found';
+    }
+  }
+
+  function buildToursPanel() {
+    const el = document.createElement('div');
+    el.className = 'gpx-filter gpx-tours-panel';
+    el.innerHTML = `
+      <div class="gpx-tours-title">Tours <span class="gpx-tours-count">Loading&hellip;</span></div>
+      <div class="gpx-filter-row">
+        <label>Ascent</label>
+        <input type="number" min="0" placeholder="min" data-key="minAscent"> <span>&ndash;</span>
+        <input type="number" min="0" placeholder="max" data-key="maxAscent"> <span>m</span>
+      </div>
+      <div class="gpx-filter-row" title="Straight-line distance from Troms&oslash; (scripts/fetch-tours.js)">
+        <label>Drive</label>
+        <input type="number" min="0" placeholder="max" data-key="maxDrive"> <span>km</span>
+      </div>
+      <div class="gpx-filter-row">
+        <label>ATES</label>
+        ${[1, 2, 3, 4, 0].map(a => `
+          <label class="gpx-filter-check" title="${ATES_LABELS[a]}"><input type="checkbox" data-ates="${a}"${tourFilter.ates.has(a) ? ' checked' : ''}>` +
+          `<span class="gpx-tours-swatch" style="background:${ATES_COLORS[a]}"></span>${a || '?'}</label>`).join('')}
+      </div>
+      <div class="gpx-filter-row">
+        <label class="gpx-filter-check"><input type="checkbox" data-key="onlyNotDone"> Only tours not done yet</label>
+      </div>
+      <div class="gpx-tours-key">Filled = not done yet &middot; ring = done</div>`;
+    // The panel is rebuilt on every toggle, so start from the current filter
+    el.querySelectorAll('[data-key]').forEach(input => {
+      if (input.type === 'checkbox') input.checked = tourFilter[input.dataset.key];
+      else input.value = tourFilter[input.dataset.key];
+      const handler = () => {
+        tourFilter[input.dataset.key] = input.type === 'checkbox' ? input.checked : input.value;
+        refreshTourLayer();
+      };
+      input.oninput = handler;
+      input.onchange = handler;
+    });
+    el.querySelectorAll('[data-ates]').forEach(input => {
+      input.onchange = () => {
+        if (input.checked) tourFilter.ates.add(+input.dataset.ates);
+        else tourFilter.ates.delete(+input.dataset.ates);
+        refreshTourLayer();
+      };
+    });
+    return el;
+  }
+
+  function toggleTourLayer() {
+    if (tourLayer) {
+      mapRef.removeLayer(tourLayer);
+      tourLayer = null;
+      toursPanelEl.remove();
+      toursPanelEl = null;
+      return false;
+    }
+    tourLayer = leafletRef.layerGroup().addTo(mapRef);
+    toursPanelEl = buildToursPanel();
+    document.body.appendChild(toursPanelEl);
+    refreshTourLayer();
+    return true;
+  }
+
+  // ── Records & achievements ────────────────────────────────────────
+  const DAY_MS = 86400000;
+  const WEEK_MS = 7 * DAY_MS;
+  const MILESTONES = [
+    { key: 'elevGain', label: 'lifetime vertical', format: v => `${v.toLocaleString()} m`,
+      steps: [10000, 25000, 50000, 100000, 250000, 500000, 1000000] },
+    { key: 'distance', label: 'lifetime distance', format: v => `${v.toLocaleString()} km`,
+      steps: [100, 250, 500, 1000, 2500, 5000] },
+    { key: 'trips', label: 'tours', format: v => `${v}`,
+      steps: [10, 25, 50, 100, 250, 500] },
+  ];
+
+  // Recorded tracks with a usable date (planned routes don't count)
+  function datedTracks(list) {
+    return list.filter(t => !t.routeId && t.date && !isNaN(t.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  // Days since 1 Oct of the track's season, so dates compare across seasons
+  function dayOfSeason(date) {
+    const startYear = parseInt(getSeason(date));
+    return Math.round((date - new Date(startYear, 9, 1)) / DAY_MS);
+  }
+
+  // Consecutive number of the weekend a Saturday/Sunday falls in, or null on weekdays
+  function weekendIndex(date) {
+    const day = date.getDay();
+    if (day !== 0 && day !== 6) return null;
+    const saturday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (day === 0 ? 1 : 0));
+    return Math.round((saturday - new Date(2000, 0, 1)) / WEEK_MS); // 1 Jan 2000 was a Saturday
+  }
+
+  function longestWeekendStreak(dated) {
+    const firstTrack = new Map(); // weekend index -> first tour that weekend
+    dated.forEach(t => {
+      const w = weekendIndex(t.date);
+      if (w !== null && !firstTrack.has(w)) firstTrack.set(w, t);
+    });
+    const weeks = [...firstTrack.keys()].sort((a, b) => a - b);
+    let best = null;
+    let runStart = 0;
+    weeks.forEach((w, i) => {
+      if (i > 0 && w !== weeks[i - 1] + 1) runStart = i;
+      const length = i - runStart + 1;
+      if (!best || length > best.length) best = { length, track: firstTrack.get(weeks[runStart]) };
+    });
+    return best;
+  }
+
+  // Top track per category; each record is { label, track, value }
+  function computeRecords(list = sourceTracks()) {
+    const dated = datedTracks(list);
+    const complete = dated.filter(t => t.stats && !t.stats.incomplete);
+    const top = (arr, fn) => {
+      let track = null, value = -Infinity;
+      arr.forEach(t => {
+        const v = fn(t);
+        if (v !== null && v !== undefined && v > value) { track = t; value = v; }
+      });
+      return track && { track, value };
+    };
+    const records = [];
+    const add = (label, best, format) => {
+      if (best) records.push({ label, track: best.track, value: format(best.value, best.track) });
+    };
+    add('Biggest vertical day', top(complete, t => t.stats.elevGain), v => `${v.toLocaleString()} m`);
+    add('Longest distance', top(complete, t => t.stats.distance), v => `${v.toFixed(1)} km`);
+    add('Highest summit', top(complete, t => t.stats.maxEle), v => `${v} m`);
+    add('Best vert/hour', top(complete, t => t.stats.vertPerHour), v => `${v} m/h`);
+    add('Earliest in a season', top(dated, t => -dayOfSeason(t.date)), (v, t) => formatShortDate(t.date));
+    add('Latest in a season', top(dated, t => dayOfSeason(t.date)), (v, t) => formatShortDate(t.date));
+    const streak = longestWeekendStreak(dated);
+    if (streak && streak.length > 1) {
+      records.push({ label: 'Longest weekend streak', track: streak.track, value: `${streak.length} weekends` });
+    }
+    return records;
+  }
+
+  // Milestones passed so far, with the track that crossed each one
+  function computeAchievements(list = sourceTracks()) {
+    const dated = datedTracks(list);
+    return MILESTONES.map(m => {
+      let total = 0;
+      const reached = [];
+      dated.forEach(t => {
+        if (m.key === 'trips') total++;
+        else if (t.stats && !t.stats.incomplete) total += t.stats[m.key] || 0;
+        while (reached.length < m.steps.length && total >= m.steps[reached.length]) {
+          reached.push({ step: m.steps[reached.length], track: t });
+        }
+      });
+      return { ...m, total, reached, next: m.steps[reached.length] ?? null };
+    });
+  }
+
+  // Records and achievements markup; `linked` collects the tracks referenced by data-track
+  function renderRecordsHtml(linked, list = sourceTracks()) {
+    const link = (track, text) => {
+      linked.push(track);
+      return `<span class="gpx-record-link" data-track="${linked.length - 1}" title="Show ${escapeHtml(track.name)}">${text}</span>`;
+    };
+    const records = computeRecords(list);
+    const achievements = computeAchievements(list);
+    if (!records.length) return '';
+
+    let html = '<div class="gpx-profile-season"><div class="gpx-profile-season-name">Records</div>';
+    records.forEach(r => {
+      html += `<div class="gpx-profile-stat-row">
+        <span class="gpx-profile-stat-label">${r.label}</span>
+        <span class="gpx-profile-stat-value">${r.value}
+          <span class="gpx-record-track">${link(r.track, `${escapeHtml(r.track.name)}, ${formatFullDate(r.track.date)}`)}</span></span></div>`;
+    });
+    html += '</div><div class="gpx-profile-season"><div class="gpx-profile-season-name">Achievements</div>';
+    achievements.forEach(a => {
+      a.reached.forEach(r => {
+        html += `<div class="gpx-profile-stat-row">
+          <span class="gpx-profile-stat-label">&#127942; ${a.format(r.step)} ${a.label}</span>
+          <span class="gpx-profile-stat-value">${link(r.track, formatFullDate(r.track.date))}</span></div>`;
+      });
+      if (a.next !== null) {
+        const pct = Math.floor(a.total / a.next * 100);
+        html += `<div class="gpx-profile-stat-row gpx-achievement-next">
+          <span class="gpx-profile-stat-label">Next: ${a.format(a.next)} ${a.label}</span>
+          <span class="gpx-profile-stat-value">${pct}%</span></div>`;
+      }
+    });
+    html += '</div>';
+    return html;
+  }
+
+  // ── Stats charts ──────────────────────────────────────────────────
+  const CAL_CELL = 10;          // calendar cell pitch in SVG units (cell + gap)
+  const CAL_TOP = 12;           // room for month labels
+  const CAL_LEFT = 14;          // room for weekday labels
+  const CAL_NO_TOUR_COLOR = '#ebedf0';       // days without a tour
+  const CAL_LEVELS = [0, 500, 1000, 1500];   // meters — lower bounds of the touring-day color steps
+  const CAL_COLORS = ['#ffe0b3', '#ffc266', '#ff9900', '#cc6600'];
+  const CURVE_WIDTH = 360;
+  const CURVE_HEIGHT = 150;
+  const CURVE_PAD_LEFT = 34;
+  const CURVE_PAD_BOTTOM = 14;
+  const SEASON_DAYS = 365;
+
+  function dayKey(d) {
+    return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+  }
+
+  // Vertical gain per local calendar day; incomplete recordings still mark the day as a touring day
+  function verticalByDay(list = sourceTracks()) {
+    const days = new Map();
+    datedTracks(list).forEach(t => {
+      const key = dayKey(t.date);
+      const gain = t.stats && !t.stats.incomplete ? t.stats.elevGain || 0 : 0;
+      days.set(key, (days.get(key) || 0) + gain);
+    });
+    return days;
   }
 
-  // ── Track detail panel ────────────────────────────────────────────
-  function showTrackDetail(track) {
-    if (!detailPanelEl) {
-      detailPanelEl = document.createElement('div');
-      detailPanelEl.className = 'gpx-detail';
-      document.body.appendChild(detailPanelEl);
-    }
-    selectedTrack = track;
-    const s = track.stats;
-    if (!s) {
-      detailPanelEl.innerHTML = `
-        <div class="gpx-detail-header">
-          <div>
-            <div class="gpx-detail-title">${track.name}</div>
-            <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
-          </div>
-          <button class="gpx-detail-close" title="Close">&times;</button>
-        </div>
-        <div style="color:#888">No elevation/time data available</div>`;
-      detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
-      detailPanelEl.style.display = 'block';
-      return;
-    }
+  function calendarColor(vert) {
+    if (vert === undefined) return CAL_NO_TOUR_COLOR;
+    let level = 0;
+    while (level + 1 < CAL_LEVELS.length && vert >= CAL_LEVELS[level + 1]) level++;
+    return CAL_COLORS[level];
+  }
 
-    if (!track.gpxLoaded) {
-      detailPanelEl.innerHTML = `
-        <div class="gpx-detail-header">
-          <div>
-            <div class="gpx-detail-title">${track.name}</div>
-            <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
-          </div>
-          <button class="gpx-detail-close" title="Close">&times;</button>
-        </div>
-        <div class="gpx-detail-grid">
-          <div><div class="gpx-detail-label">Distance</div><div class="gpx-detail-value">${s.distance ?? '\u2014'} km</div></div>
-          <div><div class="gpx-detail-label">Max elevation</div><div class="gpx-detail-value">${s.maxEle ?? '\u2014'} m</div></div>
-          <div><div class="gpx-detail-label">Ascent</div><div class="gpx-detail-value">${s.elevGain ?? '\u2014'} m</div></div>
-        </div>
-        <div style="color:#aaa;font-size:11px;margin-top:8px">Click to load full data &amp; route</div>`;
-      detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
-      detailPanelEl.style.display = 'block';
-      return;
+  // GitHub-style grid for one season: one column per week (Monday first), 1 Oct to 30 Sep
+  function renderCalendarHeatmap(season, list = sourceTracks()) {
+    const startYear = parseInt(season);
+    const days = verticalByDay(list);
+    const offset = (new Date(startYear, 9, 1).getDay() + 6) % 7;
+    let cells = '';
+    let months = '';
+    let col = 0;
+    for (let d = 0; ; d++) {
+      const date = new Date(startYear, 9, 1 + d);
+      if (date >= new Date(startYear + 1, 9, 1)) break;
+      const idx = d + offset;
+      col = Math.floor(idx / 7);
+      const x = CAL_LEFT + col * CAL_CELL;
+      const y = CAL_TOP + (idx % 7) * CAL_CELL;
+      if (date.getDate() === 1) {
+        months += `<text class="gpx-chart-label" x="${x}" y="${CAL_TOP - 3}">${MONTHS[date.getMonth()]}</text>`;
+      }
+      const vert = days.get(dayKey(date));
+      const tip = `${formatFullDate(date)}${vert !== undefined ? `: ${vert.toLocaleString()} m` : ''}`;
+      cells += `<rect x="${x}" y="${y}" width="${CAL_CELL - 2}" height="${CAL_CELL - 2}" rx="1.5"
+        fill="${calendarColor(vert)}"><title>${tip}</title></rect>`;
     }
+    const width = CAL_LEFT + (col + 1) * CAL_CELL;
+    const height = CAL_TOP + 7 * CAL_CELL;
+    const weekdays = ['M', 'W', 'F'].map((l, i) =>
+      `<text class="gpx-chart-label" x="0" y="${CAL_TOP + (i * 2 + 1) * CAL_CELL - 2}">${l}</text>`).join('');
+    const step = (color, label) =>
+      `<span class="gpx-cal-step"><span class="gpx-cal-swatch" style="background:${color}"></span>${label}</span>`;
+    const legend = step(CAL_NO_TOUR_COLOR, 'No tour') + CAL_COLORS.map((c, i) =>
+      step(c, `${CAL_LEVELS[i].toLocaleString()}${i === CAL_LEVELS.length - 1 ? '+ m' : ''}`)).join('');
+    return `
+      <svg class="gpx-cal-svg" viewBox="0 0 ${width} ${height}">${months}${weekdays}${cells}</svg>
+      <div class="gpx-cal-legend">${legend}</div>`;
+  }
 
-    const incompleteWarning = s.incomplete
-      ? '<div class="gpx-detail-warning">Incomplete recording — stats may be inaccurate</div>'
-      : '';
+  // Cumulative vertical per season against days since 1 Oct; the newest season is drawn on top
+  function renderSeasonCurves(seasonKeys, list = sourceTracks()) {
+    const W = CURVE_WIDTH, H = CURVE_HEIGHT - CURVE_PAD_BOTTOM;
+    const today = dayOfSeason(new Date());
+    const currentSeason = getSeason(new Date());
+    const curves = seasonKeys.map(season => {
+      let cum = 0;
+      const steps = [[0, 0]];
+      datedTracks(list).filter(t => getSeason(t.date) === season).forEach(t => {
+        const day = dayOfSeason(t.date);
+        steps.push([day, cum]);
+        cum += t.stats && !t.stats.incomplete ? t.stats.elevGain || 0 : 0;
+        steps.push([day, cum]);
+      });
+      steps.push([season === currentSeason ? today : SEASON_DAYS, cum]);
+      return { season, steps, total: cum };
+    });
+    const yMax = Math.max(1, ...curves.map(c => c.total));
+    const toX = d => CURVE_PAD_LEFT + d / SEASON_DAYS * (W - CURVE_PAD_LEFT);
+    const toY = v => H - v / yMax * (H - 4);
+    const colorFor = (i) => i === 0 ? '#ff9900' : i === 1 ? '#2b83ba' : '#d0d0d0';
 
-    detailPanelEl.innerHTML = `
-      <div class="gpx-detail-header">
-        <div>
-          <div class="gpx-detail-title">${track.name}</div>
-          <div class="gpx-detail-date">${formatFullDate(track.date)}</div>
-        </div>
-        <button class="gpx-detail-close" title="Close">&times;</button>
-      </div>
-      ${incompleteWarning}
-      <div class="gpx-detail-grid">
-        <div><div class="gpx-detail-label">Distance</div><div class="gpx-detail-value">${s.distance} km</div></div>
-        <div><div class="gpx-detail-label">Max elevation</div><div class="gpx-detail-value">${s.maxEle ?? '\u2014'} m</div></div>
-        <div><div class="gpx-detail-label">Ascent</div><div class="gpx-detail-value">${s.elevGain} m</div></div>
-        <div><div class="gpx-detail-label">Descent</div><div class="gpx-detail-value">${s.elevLoss} m</div></div>
-        <div><div class="gpx-detail-label">Elapsed time</div><div class="gpx-detail-value">${formatDuration(s.elapsedMs)}</div></div>
-        <div><div class="gpx-detail-label">Moving time</div><div class="gpx-detail-value">${formatDuration(s.movingTimeMs)}</div></div>
-        <div><div class="gpx-detail-label">Avg speed</div><div class="gpx-detail-value">${s.avgSpeed ?? '\u2014'} km/h</div></div>
-        <div><div class="gpx-detail-label">Start</div><div class="gpx-detail-value">${formatTime(s.startTime)}</div></div>
-      </div>
-      <div class="gpx-detail-highlight">
-        <div class="gpx-detail-label">Vert per hour</div>
-        <div class="gpx-detail-value">${s.vertPerHour ?? '\u2014'} m/h</div>
-      </div>`;
-    detailPanelEl.querySelector('.gpx-detail-close').onclick = hideTrackDetail;
-    detailPanelEl.style.display = 'block';
-  }
+    const paths = curves.map((c, i) => ({ c, i })).reverse().map(({ c, i }) => {
+      const d = c.steps.map(([x, y], k) => `${k ? 'L' : 'M'}${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join('');
+      return `<path d="${d}" fill="none" stroke="${colorFor(i)}" stroke-width="${i === 0 ? 2.5 : 1.5}"></path>`;
+    }).join('');
+    const monthTicks = [0, 3, 6, 9].map(m => {
+      const day = Math.round(m * SEASON_DAYS / 12);
+      return `<text class="gpx-chart-label" x="${toX(day).toFixed(1)}" y="${CURVE_HEIGHT - 2}">${MONTHS[(9 + m) % 12]}</text>`;
+    }).join('');
+    const yLabel = yMax >= 10000 ? `${Math.round(yMax / 1000)}k` : yMax.toLocaleString();
+    const legend = curves.slice(0, 2).map((c, i) => `
+      <span><span class="gpx-dot" style="background:${colorFor(i)}"></span>${c.season} &middot; ${c.total.toLocaleString()} m</span>`).join('');
 
-  function hideTrackDetail() {
-    if (detailPanelEl) detailPanelEl.style.display = 'none';
-    selectedTrack = null;
-    updateTrackList();
+    return `
+      <svg class="gpx-curve-svg" viewBox="0 0 ${W} ${CURVE_HEIGHT}">
+        <line class="gpx-chart-axis" x1="${CURVE_PAD_LEFT}" y1="${H}" x2="${W}" y2="${H}"></line>
+        <text class="gpx-chart-label" x="${CURVE_PAD_LEFT - 4}" y="10" text-anchor="end">${yLabel}</text>
+        <text class="gpx-chart-label" x="${CURVE_PAD_LEFT - 4}" y="${H}" text-anchor="end">0</text>
+        ${monthTicks}
+        ${paths}
+      </svg>
+      <div class="gpx-curve-legend">${legend}</div>`;
   }
 
   // ── Profile overlay ───────────────────────────────────────────────
@@ -605,7 +4221,9 @@
       return;
     }
 
-    const seasons = computeSeasonStats();
+    if (statsSource && !FRIEND_SOURCES.some(s => s.name === statsSource)) statsSource = null;
+    const statsTracks = sourceTracks(statsSource);
+    const seasons = computeSeasonStats(statsTracks);
     const seasonKeys = Object.keys(seasons).sort((a, b) => parseInt(b) - parseInt(a));
 
     let totalTrips = 0, totalVert = 0, totalDist = 0, totalMovingMs = 0;
@@ -615,6 +4233,7 @@
       totalDist += s.distance;
       totalMovingMs += s.movingTimeMs;
     });
+    const summaryTracks = statsTracks.filter(t => t.stats && t.stats.fromSummary);
     const totalHours = totalMovingMs / 3600000;
     const overallVertPerHour = totalHours > 0 ? Math.round(totalVert / totalHours) : null;
     const overallKmPerHour = totalHours > 0 ? Math.round(totalDist / totalHours * 10) / 10 : null;
@@ -629,6 +4248,12 @@
     card.className = 'gpx-profile-card';
 
     let html = `<div class="gpx-profile-title">Randonee Stats</div>`;
+    if (FRIEND_SOURCES.length) {
+      const people = [{ value: '', label: 'Me' }, ...FRIEND_SOURCES.map(s => ({ value: s.name, label: s.name }))];
+      html += `<div class="gpx-profile-stat-row gpx-stats-person">
+        <span class="gpx-profile-stat-label">Showing</span>
+        <select>${people.map(p => `<option value="${escapeHtml(p.value)}"${p.value === (statsSource || '') ? ' selected' : ''}>${escapeHtml(p.label)}</option>`).join('')}</select></div>`;
+    }
     html += `<div class="gpx-profile-hero">${totalVert.toLocaleString()} m
       <div class="gpx-profile-hero-label">Total elevation gain</div></div>`;
     html += `<div class="gpx-profile-stat-row">
@@ -643,6 +4268,26 @@
     html += `<div class="gpx-profile-stat-row" style="margin-bottom:16px">
       <span class="gpx-profile-stat-label">Avg speed</span>
       <span class="gpx-profile-stat-value">${overallKmPerHour ?? '\u2014'} km/h</span></div>`;
+    if (summaryTracks.length) {
+      html += `<div class="gpx-profile-summary-note">${summaryNote(summaryTracks.length)}.
+        <button class="gpx-detail-action" data-action="load-summary">Load and recompute</button></div>`;
+    }
+
+    if (seasonKeys.length) {
+      html += `<div class="gpx-profile-season">
+        <div class="gpx-profile-season-name">Season progress</div>
+        ${renderSeasonCurves(seasonKeys, statsTracks)}
+      </div>`;
+      html += `<div class="gpx-profile-season">
+        <div class="gpx-profile-season-name gpx-cal-header">Touring days
+          <select class="gpx-cal-season">${seasonKeys.map(k => `<option value="${k}">${k}</option>`).join('')}</select>
+        </div>
+        <div class="gpx-cal">${renderCalendarHeatmap(seasonKeys[0], statsTracks)}</div>
+      </div>`;
+    }
+
+    const linked = [];
+    html += renderRecordsHtml(linked, statsTracks);
 
     seasonKeys.forEach(key => {
       const s = seasons[key];
@@ -690,11 +4335,47 @@
         <div class="gpx-calc-result-value" id="gpx-calc-time">\u2014</div>
         <div class="gpx-calc-result-label">Estimated moving time</div>
       </div>
-      <div class="gpx-calc-note">Based on your avg: ${overallVertPerHour ?? '?'} m/h vert, ${overallKmPerHour ?? '?'} km/h speed</div>
+      <div class="gpx-calc-note">Based on ${statsSource ? `${statsSource}'s` : 'your'} avg: ${overallVertPerHour ?? '?'} m/h vert, ${overallKmPerHour ?? '?'} km/h speed</div>
     </div>`;
 
     card.innerHTML = html;
 
+    const calSelect = card.querySelector('.gpx-cal-season');
+    if (calSelect) {
+      calSelect.onchange = () => {
+        card.querySelector('.gpx-cal').innerHTML = renderCalendarHeatmap(calSelect.value, statsTracks);
+      };
+    }
+
+    const personSelect = card.querySelector('.gpx-stats-person select');
+    if (personSelect) {
+      personSelect.onchange = () => {
+        statsSource = personSelect.value || null;
+        toggleProfileOverlay();
+        toggleProfileOverlay();
+      };
+    }
+
+    const loadSummaryBtn = card.querySelector('[data-action="load-summary"]');
+    if (loadSummaryBtn) {
+      loadSummaryBtn.onclick = () => {
+        loadSummaryBtn.disabled = true;
+        loadSummaryBtn.textContent = 'Loading\u2026';
+        loadTracksConcurrently(summaryTracks).then(() => {
+          if (!profileOverlayEl || !profileOverlayEl.contains(card)) return;
+          toggleProfileOverlay();
+          toggleProfileOverlay();
+        });
+      };
+    }
+
+    card.querySelectorAll('.gpx-record-link').forEach(el => {
+      el.onclick = () => {
+        toggleProfileOverlay();
+        focusTrack(linked[+el.dataset.track]);
+      };
+    });
+
     // Wire up calculator inputs
     const calcVert = card.querySelector('#gpx-calc-vert');
     const calcDist = card.querySelector('#gpx-calc-dist');
@@ -703,12 +4384,8 @@
       const vert = parseFloat(calcVert.value) || 0;
       const dist = parseFloat(calcDist.value) || 0;
       if (vert === 0 && dist === 0) { calcResult.textContent = '\u2014'; return; }
-      // Use the longer estimate (vert time vs distance time) since ascent is the bottleneck
-      const vertHours = overallVertPerHour ? vert / overallVertPerHour : 0;
-      const distHours = overallKmPerHour ? dist / overallKmPerHour : 0;
-      const hours = Math.max(vertHours, distHours);
-      if (hours <= 0) { calcResult.textContent = '\u2014'; return; }
-      calcResult.textContent = formatDuration(hours * 3600000);
+      const ms = estimateMovingTimeMs(vert, dist, { vertPerHour: overallVertPerHour, kmPerHour: overallKmPerHour });
+      calcResult.textContent = formatDuration(ms);
     }
     calcVert.oninput = updateCalc;
     calcDist.oninput = updateCalc;
@@ -727,6 +4404,372 @@
     document.addEventListener('keydown', escHandler);
   }
 
+  // ── Compare tracks ────────────────────────────────────────────────
+  const COMPARE_CHART_WIDTH = 460;
+  const COMPARE_CHART_HEIGHT = 160;
+  // Rows of the comparison table; `better` says which direction is an improvement
+  const COMPARE_METRICS = [
+    { key: 'distance', label: 'Distance', unit: 'km', digits: 2 },
+    { key: 'elevGain', label: 'Ascent', unit: 'm' },
+    { key: 'elevLoss', label: 'Descent', unit: 'm' },
+    { key: 'maxEle', label: 'Max elevation', unit: 'm' },
+    { key: 'elapsedMs', label: 'Elapsed time', time: true, better: 'lower' },
+    { key: 'movingTimeMs', label: 'Moving time', time: true, better: 'lower' },
+    { key: 'avgSpeed', label: 'Avg speed', unit: 'km/h', digits: 1, better: 'higher' },
+    { key: 'vertPerHour', label: 'Vert per hour', unit: 'm/h', better: 'higher' },
+  ];
+  let compareMode = false;          // list shows checkboxes for picking tracks
+  const compareSet = new Set();     // tracks ticked for comparison
+  let compareOverlayEl = null;
+  let compareSplits = null;         // user-entered split elevations, or null for automatic ones
+
+  function setCompareMode(on) {
+    compareMode = on;
+    if (!on) compareSet.clear();
+    if (on) panelMinimized = false;
+    updateTrackList();
+  }
+
+  // Tracks in chronological order, so the first column is the baseline for differences
+  function compareTracks() {
+    return [...compareSet].filter(t => tracks.includes(t) && t.points && t.stats)
+      .sort((a, b) => (a.date || 0) - (b.date || 0));
+  }
+
+  // Three evenly spaced elevations, rounded to 50 m, between the highest start and the lowest summit
+  function autoSplitElevations(list) {
+    const lo = Math.max(...list.map(t => t.points.find(p => p.ele !== null)?.ele ?? -Infinity));
+    const hi = Math.min(...list.map(t => t.stats.maxEle ?? Infinity));
+    if (!isFinite(lo) || !isFinite(hi) || hi - lo < 100) return [];
+    const levels = [0.25, 0.5, 0.75].map(f => Math.round((lo + (hi - lo) * f) / 50) * 50);
+    return [...new Set(levels)];
+  }
+
+  // Time from the start until the smoothed elevation first reaches each level (and the summit)
+  function computeSplitTimes(track, levels) {
+    const points = track.points;
+    const t0 = points[0].time;
+    const smooth = smoothElevation(points, SMOOTH_WINDOW);
+    let summitI = -1;
+    smooth.forEach((e, i) => { if (e !== null && (summitI < 0 || e > smooth[summitI])) summitI = i; });
+    const timeAt = (i) => (i >= 0 && t0 !== null && points[i].time !== null) ? points[i].time - t0 : null;
+    return {
+      levels: levels.map(level => timeAt(smooth.findIndex(e => e !== null && e >= level))),
+      summit: timeAt(summitI),
+    };
+  }
+
+  // Signed difference against the baseline, colored when the metric has a better direction
+  function formatCompareDelta(value, base, metric) {
+    if (value === null || base === null || value === base) return '';
+    const diff = value - base;
+    const text = metric.time
+      ? `${diff > 0 ? '+' : '&minus;'}${formatDuration(Math.abs(diff))}`
+      : `${diff > 0 ? '+' : '&minus;'}${Math.abs(diff).toFixed(metric.digits || 0)}`;
+    const cls = !metric.better ? '' : (diff < 0) === (metric.better === 'lower') ? ' better' : ' worse';
+    return `<div class="gpx-compare-delta${cls}">${text}</div>`;
+  }
+
+  function formatCompareValue(value, metric) {
+    if (value === null || value === undefined) return '\u2014';
+    if (metric.time) return formatDuration(value);
+    return `${metric.digits ? value.toFixed(metric.digits) : Math.round(value).toLocaleString()} ${metric.unit}`;
+  }
+
+  function compareRow(label, values, metric) {
+    const known = values.filter(v => v !== null && v !== undefined);
+    const best = !metric.better || known.length < 2 ? null
+      : metric.better === 'lower' ? Math.min(...known) : Math.max(...known);
+    return `<tr><th>${label}</th>${values.map(v => `
+      <td class="${v !== null && v === best ? 'best' : ''}">${formatCompareValue(v, metric)}${formatCompareDelta(v ?? null, values[0] ?? null, metric)}</td>`).join('')}
+    </tr>`;
+  }
+
+  // Elevation vs distance for every track on shared axes, with split levels as dashed lines
+  function renderCompareChart(list, levels) {
+    const W = COMPARE_CHART_WIDTH, H = COMPARE_CHART_HEIGHT - CHART_PAD_BOTTOM;
+    const series = list.map(t => t._series || (t._series = buildElevationSeries(t.points)));
+    const xMax = Math.max(...series.map(s => s.dist[s.dist.length - 1])) || 1;
+    let eMin = Infinity, eMax = -Infinity;
+    list.forEach(t => t.points.forEach(p => {
+      if (p.ele === null) return;
+      if (p.ele < eMin) eMin = p.ele;
+      if (p.ele > eMax) eMax = p.ele;
+    }));
+    if (eMin === Infinity) return '<div class="gpx-chart-empty">No elevation data</div>';
+    const pad = Math.max(10, (eMax - eMin) * 0.05);
+    const toX = x => CHART_PAD_LEFT + x / xMax * (W - CHART_PAD_LEFT);
+    const toY = e => (1 - (e - eMin + pad) / (eMax - eMin + 2 * pad)) * H;
+
+    const paths = list.map((t, k) => {
+      const xs = series[k].dist;
+      const step = Math.max(1, Math.floor(t.points.length / (W * 2)));
+      let d = '';
+      for (let i = 0; i < t.points.length; i += step) {
+        if (t.points[i].ele === null) continue;
+        d += `${d ? 'L' : 'M'}${toX(xs[i]).toFixed(1)},${toY(t.points[i].ele).toFixed(1)}`;
+      }
+      return `<path class="gpx-chart-line" d="${d}" stroke="${t.color}"></path>`;
+    }).join('');
+    const levelLines = levels.map(level => `
+      <line class="gpx-compare-level" x1="${CHART_PAD_LEFT}" x2="${W}" y1="${toY(level).toFixed(1)}" y2="${toY(level).toFixed(1)}"></line>
+      <text class="gpx-chart-label" x="${CHART_PAD_LEFT - 4}" y="${(toY(level) + 3).toFixed(1)}" text-anchor="end">${level}</text>`).join('');
+
+    return `
+      <svg class="gpx-chart-svg" viewBox="0 0 ${W} ${COMPARE_CHART_HEIGHT}">
+        ${levelLines}
+        ${paths}
+        <line class="gpx-chart-axis" x1="${CHART_PAD_LEFT}" y1="${H}" x2="${W}" y2="${H}"></line>
+        <text class="gpx-chart-label" x="${CHART_PAD_LEFT - 4}" y="10" text-anchor="end">${Math.round(eMax)}</text>
+        <text class="gpx-chart-label" x="${W}" y="${COMPARE_CHART_HEIGHT - 2}" text-anchor="end">${xMax.toFixed(1)} km</text>
+      </svg>`;
+  }
+
+  function closeCompareOverlay() {
+    if (!compareOverlayEl) return;
+    compareOverlayEl.remove();
+    compareOverlayEl = null;
+    document.removeEventListener('keydown', onCompareKeydown);
+  }
+
+  function onCompareKeydown(e) {
+    if (e.key === 'Escape') closeCompareOverlay();
+  }
+
+  function showCompareOverlay() {
+    const list = compareTracks();
+    if (list.length < 2) return;
+    const levels = compareSplits || autoSplitElevations(list);
+    const splits = list.map(t => computeSplitTimes(t, levels));
+    const timeMetric = { time: true, better: 'lower' };
+
+    let html = `<div class="gpx-profile-title">Compare ${list.length} tracks
+      <button class="gpx-detail-close" title="Close">&times;</button></div>`;
+    html += `<div class="gpx-compare-chart">${renderCompareChart(list, levels)}</div>`;
+    html += `<table class="gpx-compare-table">
+      <tr><th></th>${list.map(t => `
+        <td class="gpx-compare-head"><span class="gpx-dot" style="background:${t.color}"></span>${escapeHtml(t.name)}
+          <div class="gpx-track-date">${formatFullDate(t.date)}</div></td>`).join('')}</tr>
+      ${COMPARE_METRICS.map(m => compareRow(m.label, list.map(t => t.stats[m.key]), m)).join('')}
+      <tr class="gpx-compare-section"><th colspan="${list.length + 1}">Time to reach</th></tr>
+      ${levels.map((level, j) => compareRow(`${level} m`, splits.map(s => s.levels[j]), timeMetric)).join('')}
+      ${compareRow('Summit', splits.map(s => s.summit), timeMetric)}
+    </table>`;
+    html += `<div class="gpx-compare-splits">
+      <label>Split at</label>
+      <input type="text" value="${levels.join(', ')}" placeholder="e.g. 500, 800"> <span>m</span>
+    </div>
+    <div class="gpx-calc-note">Differences are against the oldest track; best times and paces are highlighted</div>`;
+
+    closeCompareOverlay();
+    compareOverlayEl = document.createElement('div');
+    compareOverlayEl.className = 'gpx-profile-overlay';
+    compareOverlayEl.onclick = (e) => {
+      if (e.target === compareOverlayEl) closeCompareOverlay();
+    };
+    const card = document.createElement('div');
+    card.className = 'gpx-profile-card gpx-compare-card';
+    card.innerHTML = html;
+    card.querySelector('.gpx-detail-close').onclick = closeCompareOverlay;
+    card.querySelector('.gpx-compare-splits input').onchange = (e) => {
+      const values = e.target.value.split(/[,\s]+/).map(Number).filter(v => v > 0);
+      compareSplits = values.length ? [...new Set(values)].sort((a, b) => a - b) : null;
+      showCompareOverlay();
+    };
+    compareOverlayEl.appendChild(card);
+    document.body.appendChild(compareOverlayEl);
+    document.addEventListener('keydown', onCompareKeydown);
+  }
+
+  // ── My uploads ────────────────────────────────────────────────────
+  const UPLOADS_GROUP = 'My uploads';
+
+  function renameUpload(track) {
+    const name = window.prompt('Rename track', track.name);
+    if (name === null || !name.trim()) return;
+    track.name = name.trim();
+    getUpload(track.uploadId).then(record => {
+      if (record) putUpload({ ...record, name: track.name });
+    });
+    if (selectedTrack === track) showTrackDetail(track);
+    updateTrackList();
+  }
+
+  function removeUpload(track) {
+    if (!window.confirm(`Delete "${track.name}" from your uploads?`)) return;
+    if (selectedTrack === track) hideTrackDetail();
+    if (track.layer && track.visible) mapRef.removeLayer(track.layer);
+    const idx = tracks.indexOf(track);
+    if (idx >= 0) tracks.splice(idx, 1);
+    deleteUpload(track.uploadId);
+    scheduleHeatmapRefresh();
+    scheduleTrailheadRefresh();
+    updateTrackList();
+  }
+
+  function sumTrackStats(list) {
+    const sum = { trips: list.length, elevGain: 0, distance: 0 };
+    list.forEach(t => {
+      if (!t.stats || t.stats.incomplete) return;
+      sum.elevGain += t.stats.elevGain || 0;
+      sum.distance += t.stats.distance || 0;
+    });
+    return sum;
+  }
+
+  // ── Track filter ──────────────────────────────────────────────────
+  const trackFilter = {
+    text: '', from: '', to: '',
+    minAscent: '', maxAscent: '', minDist: '', maxDist: '',
+    person: '',  // '' = everyone, OWN_PERSON = our own tracks, else a friend's source name
+    onlyVisible: false,
+  };
+  const OWN_PERSON = 'me';
+  let filterExpanded = false;                // advanced filter rows shown
+  const filterCollapsedSeasons = new Set(); // seasons collapsed by the user while a filter is active
+  let filterBarEl = null;
+
+  function isFilterActive() {
+    const f = trackFilter;
+    return !!(f.text.trim() || f.from || f.to || f.minAscent || f.maxAscent || f.minDist || f.maxDist ||
+      f.person || f.onlyVisible);
+  }
+
+  function filterWords() {
+    return trackFilter.text.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  function inRange(value, min, max) {
+    if (min === '' && max === '') return true;
+    if (value === null || value === undefined) return false;
+    if (min !== '' && value < parseFloat(min)) return false;
+    if (max !== '' && value > parseFloat(max)) return false;
+    return true;
+  }
+
+  function trackMatchesFilter(t) {
+    const f = trackFilter;
+    const name = t.name.toLowerCase();
+    if (!filterWords().every(w => name.includes(w))) return false;
+    if (f.from || f.to) {
+      if (!t.date || isNaN(t.date.getTime())) return false;
+      if (f.from && t.date < new Date(`${f.from}T00:00:00`)) return false;
+      if (f.to && t.date > new Date(`${f.to}T23:59:59`)) return false;
+    }
+    const s = t.stats || {};
+    if (!inRange(s.elevGain, f.minAscent, f.maxAscent)) return false;
+    if (!inRange(s.distance, f.minDist, f.maxDist)) return false;
+    if (f.person && (t.sourceId || OWN_PERSON) !== f.person) return false;
+    if (f.onlyVisible && !t.visible) return false;
+    return true;
+  }
+
+  // Wrap each search word in <mark>
+  function highlightName(name) {
+    const words = filterWords();
+    if (words.length === 0) return escapeHtml(name);
+    const pattern = new RegExp(`(${words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return name.split(pattern).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+  }
+
+  // Show every matching track on the map, loading placeholders as needed, then fit to them
+  async function showFilterMatches() {
+    const matches = tracks.filter(trackMatchesFilter);
+    matches.forEach(t => {
+      if (t.layer && !t.visible) {
+        t.visible = true;
+        t.layer.addTo(mapRef);
+      }
+    });
+    updateTrackList();
+    for (const t of matches.filter(m => !m.gpxLoaded && !m._loading)) {
+      if (!t.baseUrl) continue;
+      t._loading = true;
+      updateTrackList();
+      try {
+        await loadGpxForTrack(t, t.baseUrl, true);
+      } catch (err) {
+        t._loading = false;
+        t._loadError = err.message;
+        failedTracks.add(t);
+      }
+    }
+    updateTrackList();
+    const shown = matches.filter(t => t.layer && t.visible);
+    if (shown.length === 0) return;
+    const bounds = shown[0].layer.getBounds();
+    shown.slice(1).forEach(t => bounds.extend(t.layer.getBounds()));
+    mapRef.fitBounds(bounds.pad(0.1));
+  }
+
+  function buildFilterBar() {
+    const el = document.createElement('div');
+    el.className = 'gpx-filter';
+    el.innerHTML = `
+      <div class="gpx-filter-row">
+        <input type="search" class="gpx-filter-text" placeholder="Search tracks&hellip;" data-key="text">
+        <button class="gpx-filter-more" title="More filters">&#9776;</button>
+      </div>
+      ${FRIEND_SOURCES.length ? `<div class="gpx-filter-row">
+        <label>Person</label>
+        <select data-key="person">
+          <option value="">Everyone</option>
+          <option value="${OWN_PERSON}">Me</option>
+          ${FRIEND_SOURCES.map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)}</option>`).join('')}
+        </select>
+      </div>` : ''}
+      <div class="gpx-filter-advanced">
+        <div class="gpx-filter-row">
+          <label>Date</label>
+          <input type="date" data-key="from"> <span>&ndash;</span> <input type="date" data-key="to">
+        </div>
+        <div class="gpx-filter-row">
+          <label>Ascent</label>
+          <input type="number" min="0" placeholder="min" data-key="minAscent"> <span>&ndash;</span>
+          <input type="number" min="0" placeholder="max" data-key="maxAscent"> <span>m</span>
+        </div>
+        <div class="gpx-filter-row">
+          <label>Distance</label>
+          <input type="number" min="0" step="0.1" placeholder="min" data-key="minDist"> <span>&ndash;</span>
+          <input type="number" min="0" step="0.1" placeholder="max" data-key="maxDist"> <span>km</span>
+        </div>
+        <div class="gpx-filter-row">
+          <label class="gpx-filter-check"><input type="checkbox" data-key="onlyVisible"> Only visible</label>
+        </div>
+      </div>
+      <div class="gpx-filter-row gpx-filter-actions">
+        <button class="gpx-detail-action" data-action="show">Show matches on map</button>
+        <button class="gpx-detail-action" data-action="clear">Clear</button>
+      </div>`;
+
+    el.classList.toggle('expanded', filterExpanded);
+    el.querySelectorAll('[data-key]').forEach(input => {
+      if (input.type === 'checkbox') input.checked = trackFilter[input.dataset.key];
+      else input.value = trackFilter[input.dataset.key];
+      const handler = () => {
+        trackFilter[input.dataset.key] = input.type === 'checkbox' ? input.checked : input.value;
+        filterCollapsedSeasons.clear();
+        updateTrackList();
+      };
+      input.oninput = handler;
+      input.onchange = handler;
+    });
+    el.querySelector('.gpx-filter-more').onclick = () => {
+      filterExpanded = !filterExpanded;
+      el.classList.toggle('expanded', filterExpanded);
+    };
+    el.querySelector('[data-action="show"]').onclick = () => showFilterMatches();
+    el.querySelector('[data-action="clear"]').onclick = () => {
+      Object.keys(trackFilter).forEach(k => { trackFilter[k] = k === 'onlyVisible' ? false : ''; });
+      el.querySelectorAll('[data-key]').forEach(input => {
+        if (input.type === 'checkbox') input.checked = false; else input.value = '';
+      });
+      filterCollapsedSeasons.clear();
+      updateTrackList();
+    };
+    return el;
+  }
+
   // ── UI ────────────────────────────────────────────────────────────
   function addUI(map) {
     const style = document.createElement('style');
@@ -749,6 +4792,16 @@
         padding:6px 12px; cursor:pointer; user-select:none; border-bottom:1px solid #e8e8e8; }
       .gpx-panel-header:hover { background:#f8f8f8; }
       .gpx-panel-title { font-weight:700; font-size:13px; }
+      .gpx-progress { position:relative; flex:1; height:14px; margin:0 8px; background:#f0ebe0;
+        border-radius:7px; overflow:hidden; }
+      .gpx-progress-bar { position:absolute; left:0; top:0; bottom:0; background:#ffc266; transition:width .2s; }
+      .gpx-progress-text { position:relative; display:block; text-align:center; font-size:10px; line-height:14px; color:#555; }
+      .gpx-failed { background:#fff3cd; color:#856404; font-size:11px; border-radius:4px; padding:4px 8px; margin:6px 0 2px; }
+      .gpx-failed-title { display:flex; align-items:center; justify-content:space-between; font-weight:600; }
+      .gpx-failed-item { display:flex; align-items:center; justify-content:space-between; gap:4px; }
+      .gpx-failed button { background:none; border:1px solid #e0c98a; border-radius:4px; cursor:pointer;
+        color:#856404; font-size:11px; padding:0 4px; }
+      .gpx-failed button:hover { background:#ffe8a1; }
       .gpx-panel-toggle { font-size:10px; color:#888; transition:transform .15s; }
       .gpx-panel-toggle.minimized { transform:rotate(180deg); }
       .gpx-panel-body { max-height:50vh; overflow-y:auto; padding:4px 12px 8px; }
@@ -769,10 +4822,39 @@
       .gpx-track-name { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
       .gpx-track-name.off { text-decoration:line-through; opacity:.5; }
       .gpx-track-date.off { opacity:.4; }
+      .gpx-track-person { color:#999; font-size:10px; white-space:nowrap; }
+      .gpx-item-actions { margin-left:auto; display:none; gap:2px; }
+      .gpx-track-item:hover .gpx-item-actions { display:flex; }
+      .gpx-item-actions button { background:none; border:none; cursor:pointer; color:#999;
+        font-size:13px; padding:0 3px; line-height:1; }
+      .gpx-item-actions button:hover { color:#333; }
       .gpx-placeholder .gpx-track-name { color:#999; font-style:italic; }
       .gpx-placeholder .gpx-dot { opacity:.12; }
       .gpx-placeholder:hover .gpx-track-name { color:#555; }
       .gpx-loading { color:#bbb; font-size:10px; }
+      .gpx-filter { padding:6px 12px; border-bottom:1px solid #e8e8e8; font-size:12px; }
+      .gpx-tracks.minimized .gpx-filter { display:none; }
+      .gpx-filter-row { display:flex; align-items:center; gap:4px; margin:2px 0; }
+      .gpx-filter-row label { color:#888; min-width:52px; }
+      .gpx-filter-row span { color:#888; }
+      .gpx-filter input { border:1px solid #ccc; border-radius:4px; padding:2px 4px;
+        font:12px system-ui,sans-serif; min-width:0; }
+      .gpx-filter input:focus { outline:none; border-color:#ff9900; }
+      .gpx-filter select { border:1px solid #ccc; border-radius:4px; font:12px system-ui,sans-serif; }
+      .gpx-filter input[type=number] { width:52px; }
+      .gpx-filter input[type=date] { width:104px; }
+      .gpx-filter-text { flex:1; }
+      .gpx-filter-more { background:none; border:1px solid #ccc; border-radius:4px;
+        cursor:pointer; color:#888; font-size:11px; padding:2px 6px; }
+      .gpx-filter-advanced { display:none; }
+      .gpx-filter.expanded .gpx-filter-advanced { display:block; }
+      .gpx-filter.expanded .gpx-filter-more { background:#ff9900; border-color:#ff9900; color:white; }
+      .gpx-filter label.gpx-filter-check { display:flex; align-items:center; gap:4px; color:#555; cursor:pointer; }
+      .gpx-filter-actions { margin-top:4px; }
+      .gpx-filter-count { font-weight:400; font-size:11px; color:#ff9900; margin-left:4px; }
+      .gpx-filter-empty { color:#aaa; font-size:12px; padding:6px 0; }
+      .gpx-track-name mark { background:#ffe8b3; color:inherit; padding:0; }
+
       .gpx-load-more { display:block; width:100%; margin:10px 0 2px;
         font-size:12px; padding:7px 0; text-align:center;
         background:#f8f5ee; border:1px solid #e0d8c8; border-radius:6px;
@@ -803,6 +4885,145 @@
         padding:6px 0; margin-top:4px; border-top:1px solid #e0e0e0; }
       .gpx-detail-highlight .gpx-detail-value { font-size:16px; color:#ff9900; }
 
+      .gpx-laps-table { width:100%; border-collapse:collapse; font-size:12px; font-variant-numeric:tabular-nums; }
+      .gpx-laps-table th { color:#888; font-weight:400; font-size:11px; text-align:left; }
+      .gpx-laps-table td { padding:1px 4px 1px 0; }
+      .gpx-laps-table tr[data-i] { cursor:pointer; }
+      .gpx-laps-table tr[data-i]:hover { background:#f8f8ff; }
+      .gpx-laps-table tr.active { background:#eef0ff; }
+      .gpx-lap-climb td:nth-child(2) { color:#cc6600; }
+      .gpx-lap-descent td:nth-child(2) { color:#2b83ba; }
+
+      .gpx-detail-actions { display:flex; flex-wrap:wrap; gap:4px; margin-top:8px; }
+      .gpx-detail-action { background:#f8f5ee; border:1px solid #e0d8c8; border-radius:4px;
+        padding:3px 8px; font:12px system-ui,sans-serif; color:#555; cursor:pointer; }
+      .gpx-detail-action:hover:not(:disabled) { background:#f0ebe0; color:#333; }
+      .gpx-detail-action:disabled { opacity:.4; cursor:default; }
+
+      .gpx-planner .gpx-chart { margin-top:4px; }
+      .gpx-planner-name { width:100%; box-sizing:border-box; border:1px solid #ccc; border-radius:4px;
+        padding:3px 6px; margin-bottom:4px; font:600 13px system-ui,sans-serif; }
+      .gpx-planner-name:focus { outline:none; border-color:#ff9900; }
+      .gpx-planner-option { display:flex; align-items:center; gap:4px; color:#555; cursor:pointer; margin-top:4px; }
+      .gpx-route-waypoint { background:#ff9900; border:2px solid white; border-radius:50%;
+        box-shadow:0 0 3px rgba(0,0,0,.5); color:white; font:700 10px/14px system-ui,sans-serif; text-align:center; }
+      .gpx-planning { cursor:crosshair; }
+
+      .gpx-trailhead { background:#1a66cc; border:2px solid white; border-radius:4px;
+        box-shadow:0 0 3px rgba(0,0,0,.5); color:white; font:700 12px/18px system-ui,sans-serif; text-align:center; }
+      .gpx-trailhead-count { position:absolute; top:-9px; right:-11px; min-width:16px; padding:0 3px;
+        box-sizing:border-box; border-radius:8px; background:#cc0066; font:700 10px/16px system-ui,sans-serif; }
+      .gpx-trailhead-popup { font:12px system-ui,sans-serif; min-width:180px; }
+      .gpx-trailhead-title { font-weight:700; margin-bottom:4px; }
+      .gpx-trailhead-entry { display:flex; align-items:center; gap:4px; padding:2px 0; cursor:pointer; color:#333; }
+      .gpx-trailhead-entry:hover { color:#ff9900; }
+      .gpx-trailhead-date { margin-left:auto; padding-left:8px; color:#888; white-space:nowrap; }
+      .gpx-track-tooltip { font:12px system-ui,sans-serif; }
+      .gpx-descent-label { font:600 11px system-ui,sans-serif; }
+      .gpx-tour-badge { display:inline-flex; flex-wrap:wrap; align-items:center; gap:2px 6px; margin:4px 0;
+        padding:4px 10px; border-radius:12px; background:#fff4e0; border:1px solid #ff9900;
+        font:12px system-ui,sans-serif; color:#333; }
+      .gpx-tour-badge.floating { position:fixed; top:16px; left:50%; transform:translateX(-50%); z-index:10000;
+        box-shadow:0 2px 8px rgba(0,0,0,.2); }
+      .gpx-tour-badge-done { font-weight:700; color:#cc6600; }
+      .gpx-tour-badge-links { display:inline-flex; flex-wrap:wrap; gap:6px; }
+      .gpx-tours-panel { position:fixed; top:80px; left:16px; z-index:10000;
+        background:white; border:2px solid rgba(0,0,0,.2); border-radius:8px;
+        padding:6px 10px; box-shadow:0 2px 6px rgba(0,0,0,.15); color:#333; }
+      .gpx-tours-panel .gpx-filter-row label.gpx-filter-check { min-width:0; }
+      .gpx-tours-title { font-weight:700; margin-bottom:2px; }
+      .gpx-tours-count { font-weight:400; font-size:11px; color:#ff9900; margin-left:4px; }
+      .gpx-tours-swatch { display:inline-block; width:8px; height:8px; border-radius:50%; }
+      .gpx-tours-key { font-size:11px; color:#888; margin-top:2px; }
+      .gpx-tour-badge-links a { color:#cc6600; cursor:pointer; text-decoration:underline; }
+      .gpx-track-tooltip-meta { color:#666; }
+
+      .gpx-editor { position:fixed; top:16px; left:50%; transform:translateX(-50%); z-index:10000;
+        background:white; border:2px solid rgba(0,0,0,.2); border-radius:8px;
+        padding:10px 14px; box-shadow:0 2px 6px rgba(0,0,0,.15);
+        font:12px/1.6 system-ui,sans-serif; color:#333; width:340px; max-width:90vw; }
+      .gpx-editor-stats { font-weight:600; font-size:13px; font-variant-numeric:tabular-nums; }
+      .gpx-editor-count { color:#888; font-size:11px; }
+      .gpx-editor-modes { display:flex; gap:4px; margin-top:6px; }
+      .gpx-editor-modes .active { background:#ff9900; border-color:#ff9900; color:white; }
+      .gpx-editor-hint { color:#888; font-size:11px; margin-top:4px; }
+      .gpx-editor-spacer { flex:1; }
+      .gpx-editor .gpx-editor-save { background:#ff9900; border-color:#ff9900; color:white; }
+      .gpx-edit-handle { border:2px solid white; border-radius:50%; box-shadow:0 0 3px rgba(0,0,0,.5); cursor:grab; }
+      .gpx-edit-handle-start { background:#00cc44; }
+      .gpx-edit-handle-end { background:#cc0000; }
+      .gpx-edit-lasso { cursor:crosshair !important; }
+      .gpx-edit-split .leaflet-interactive { cursor:copy; }
+
+      .gpx-playback { position:fixed; top:16px; left:50%; transform:translateX(-50%); z-index:10000;
+        background:white; border:2px solid rgba(0,0,0,.2); border-radius:8px;
+        padding:10px 14px; box-shadow:0 2px 6px rgba(0,0,0,.15);
+        font:12px/1.6 system-ui,sans-serif; color:#333; width:340px; max-width:90vw; }
+      .gpx-playback-controls { display:flex; align-items:center; gap:6px; }
+      .gpx-playback-play { width:30px; height:26px; border:1px solid #ccc; border-radius:4px;
+        background:#f8f8f8; cursor:pointer; font-size:11px; }
+      .gpx-playback-scrub { flex:1; accent-color:#ff9900; }
+      .gpx-playback-speed { font:12px system-ui,sans-serif; }
+      .gpx-playback-time { text-align:center; color:#888; font-variant-numeric:tabular-nums; }
+      .gpx-playback-row { display:grid; grid-template-columns:16px 1fr 52px 72px 60px; align-items:center;
+        font-variant-numeric:tabular-nums; }
+      .gpx-playback-name { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .gpx-playback-ele, .gpx-playback-speed-val, .gpx-playback-dist { text-align:right; font-weight:600; }
+      .gpx-playback-ghosts { margin-top:6px; padding-top:6px; border-top:1px solid #e0e0e0;
+        max-height:120px; overflow-y:auto; }
+      .gpx-playback-ghosts label { display:flex; align-items:center; gap:4px; cursor:pointer;
+        white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+
+      .gpx-menu { position:fixed; z-index:10001; background:white; border:2px solid rgba(0,0,0,.2);
+        border-radius:8px; padding:8px 12px; box-shadow:0 2px 6px rgba(0,0,0,.15);
+        font:12px/1.6 system-ui,sans-serif; color:#333; min-width:200px; max-width:280px; }
+      .gpx-menu-title { font-weight:700; font-size:13px; margin-bottom:4px; }
+      .gpx-menu-section { margin-top:4px; }
+      .gpx-menu-label { color:#888; font-size:11px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .gpx-menu-row { display:flex; flex-wrap:wrap; gap:4px; }
+      .gpx-menu.gpx-settings { max-height:70vh; overflow-y:auto; }
+      .gpx-setting { display:flex; align-items:center; gap:4px; margin:2px 0; font-size:12px; color:#555; }
+      .gpx-setting-label { flex:1; min-width:110px; }
+      .gpx-setting input { border:1px solid #ccc; border-radius:4px; padding:2px 4px; font:12px system-ui,sans-serif; width:60px; }
+      .gpx-setting-url input { width:200px; }
+      .gpx-setting-sources { align-items:flex-start; }
+      .gpx-setting textarea { border:1px solid #ccc; border-radius:4px; padding:2px 4px; font:12px system-ui,sans-serif;
+        width:200px; resize:vertical; }
+      .gpx-setting input:focus, .gpx-setting textarea:focus { outline:none; border-color:#ff9900; }
+      .gpx-setting input.invalid, .gpx-setting textarea.invalid { border-color:#cc0000; }
+      .gpx-setting-unit { min-width:28px; color:#888; font-size:11px; }
+      .gpx-setting-error { color:#cc0000; font-size:11px; }
+      .gpx-setting-error:empty { display:none; }
+
+      .gpx-drop-target { outline:4px dashed #ff9900; outline-offset:-4px; }
+
+      .gpx-heat-canvas { position:absolute; pointer-events:none; opacity:.8; }
+      .gpx-heat-season { padding:6px 8px; font-weight:400; }
+
+      .gpx-legend { position:fixed; top:80px; right:16px; z-index:10000; display:none;
+        background:white; border:2px solid rgba(0,0,0,.2); border-radius:8px;
+        padding:6px 10px; box-shadow:0 2px 6px rgba(0,0,0,.15);
+        font:11px/1.6 system-ui,sans-serif; color:#333; }
+      .gpx-legend-title { font-weight:700; font-size:12px; margin-bottom:2px; }
+      .gpx-legend-row { display:flex; align-items:center; gap:6px; white-space:nowrap; }
+      .gpx-legend-swatch { display:inline-block; width:18px; height:4px; border-radius:2px; }
+
+      .gpx-chart { margin-top:6px; padding-top:6px; border-top:1px solid #e0e0e0; }
+      .gpx-chart-modes { display:flex; gap:4px; margin-bottom:4px; }
+      .gpx-chart-modes button { background:#f4f4f4; border:1px solid #ddd; border-radius:4px;
+        padding:1px 8px; font:11px system-ui,sans-serif; color:#666; cursor:pointer; }
+      .gpx-chart-modes button.active { background:#ff9900; border-color:#ff9900; color:white; }
+      .gpx-chart-modes button:disabled { opacity:.4; cursor:default; }
+      .gpx-chart-svg { display:block; width:100%; height:auto; touch-action:none; cursor:crosshair; }
+      .gpx-chart-area { opacity:.15; }
+      .gpx-chart-line { fill:none; stroke-width:1.5; stroke-linejoin:round; }
+      .gpx-chart-axis { stroke:#ccc; stroke-width:1; }
+      .gpx-chart-label { font:9px system-ui,sans-serif; fill:#999; }
+      .gpx-chart-cursor { stroke:#333; stroke-width:1; stroke-dasharray:2 2; }
+      .gpx-chart-dot { stroke:white; stroke-width:1.5; }
+      .gpx-chart-readout { font:600 10px system-ui,sans-serif; fill:#333; }
+      .gpx-chart-empty { color:#aaa; font-size:11px; }
+
       .gpx-profile-overlay { position:fixed; inset:0; z-index:10001;
         background:rgba(0,0,0,.5); display:flex; align-items:center; justify-content:center; }
       .gpx-profile-card { background:white; border-radius:12px; padding:24px 28px;
@@ -810,11 +5031,45 @@
         font:14px/1.6 system-ui,sans-serif; color:#333;
         max-height:80vh; overflow-y:auto; }
       .gpx-profile-title { font-size:18px; font-weight:700; margin-bottom:16px; }
+      .gpx-profile-summary-note { font-size:12px; color:#888; margin:-8px 0 16px; }
+      .gpx-profile-summary-note button { margin-left:4px; }
+      .gpx-stats-person { margin-top:-8px; margin-bottom:12px; }
+      .gpx-stats-person select { font:13px system-ui,sans-serif; }
+      .gpx-compare-card { max-width:640px; }
+      .gpx-compare-card .gpx-profile-title { display:flex; justify-content:space-between; align-items:flex-start; }
+      .gpx-compare-chart { margin-bottom:12px; }
+      .gpx-compare-level { stroke:#bbb; stroke-width:1; stroke-dasharray:3 3; }
+      .gpx-compare-table { width:100%; border-collapse:collapse; font-size:13px; font-variant-numeric:tabular-nums; }
+      .gpx-compare-table th { color:#888; font-weight:400; text-align:left; padding:3px 8px 3px 0; white-space:nowrap; }
+      .gpx-compare-table td { padding:3px 8px; border-top:1px solid #f0f0f0; vertical-align:top; }
+      .gpx-compare-table td.best { color:#1a8f3a; font-weight:700; }
+      .gpx-compare-head { font-weight:600; border-top:none !important; }
+      .gpx-compare-section th { padding-top:10px; font-weight:700; color:#333; }
+      .gpx-compare-delta { font-size:11px; font-weight:400; color:#999; }
+      .gpx-compare-delta.better { color:#1a8f3a; }
+      .gpx-compare-delta.worse { color:#cc3300; }
+      .gpx-compare-splits { display:flex; align-items:center; gap:8px; margin-top:12px; font-size:13px; }
+      .gpx-compare-splits label, .gpx-compare-splits span { color:#888; }
+      .gpx-compare-splits input { flex:1; border:1px solid #ccc; border-radius:4px; padding:4px 8px; font:13px system-ui,sans-serif; }
+      .gpx-compare-splits input:focus { outline:none; border-color:#ff9900; }
+      .gpx-compare-check { margin:0; accent-color:#2b83ba; cursor:pointer; }
       .gpx-profile-season { margin-bottom:16px; padding-bottom:12px; border-bottom:1px solid #eee; }
       .gpx-profile-season-name { font-weight:700; font-size:15px; margin-bottom:6px; }
       .gpx-profile-stat-row { display:flex; justify-content:space-between; padding:2px 0; }
       .gpx-profile-stat-label { color:#888; }
       .gpx-profile-stat-value { font-weight:600; }
+      .gpx-curve-svg, .gpx-cal-svg { display:block; width:100%; height:auto; }
+      .gpx-curve-legend, .gpx-cal-legend { display:flex; gap:12px; justify-content:flex-end;
+        align-items:center; font-size:11px; color:#888; }
+      .gpx-cal-legend { gap:8px; }
+      .gpx-cal-step { display:inline-flex; align-items:center; gap:3px; }
+      .gpx-cal-swatch { display:inline-block; width:8px; height:8px; border-radius:1.5px; }
+      .gpx-cal-header { display:flex; justify-content:space-between; align-items:center; }
+      .gpx-cal-season { font:12px system-ui,sans-serif; }
+      .gpx-record-track { display:block; font-weight:400; font-size:11px; text-align:right; }
+      .gpx-record-link { color:#cc7a00; cursor:pointer; }
+      .gpx-record-link:hover { text-decoration:underline; }
+      .gpx-achievement-next .gpx-profile-stat-label, .gpx-achievement-next .gpx-profile-stat-value { color:#bbb; }
       .gpx-profile-hero { text-align:center; padding:12px 0;
         font-size:28px; font-weight:700; color:#ff9900; }
       .gpx-profile-hero-label { font-size:12px; color:#888; font-weight:400; }
@@ -842,30 +5097,38 @@
     // Upload button
     const upload = document.createElement('button');
     upload.className = 'gpx-btn';
-    upload.textContent = 'Upload GPX';
+    upload.textContent = 'Upload';
+    upload.title = `Add track files (${acceptedExtensions()}) \u2014 or drop them on the map`;
     upload.onclick = (e) => {
       e.stopPropagation();
       const input = document.createElement('input');
       input.type = 'file';
-      input.accept = '.gpx';
+      input.accept = acceptedExtensions();
       input.multiple = true;
-      input.onchange = () => {
-        Array.from(input.files).forEach(file => {
-          const reader = new FileReader();
-          reader.onload = () => {
-            const { coords, points, name, date } = parseGpx(reader.result);
-            if (coords.length > 0) {
-              addTrack(coords, name || file.name.replace(/\.gpx$/i, ''), true, date, points);
-            } else {
-              console.warn(`[GPX Overlay] No track points in ${file.name}`);
-            }
-          };
-          reader.readAsText(file);
-        });
-      };
+      input.onchange = () => importFiles(Array.from(input.files));
       input.click();
     };
 
+    // Drag-and-drop track files onto the map
+    const mapEl = map.getContainer();
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    mapEl.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      mapEl.classList.add('gpx-drop-target');
+    });
+    // dragleave also fires when moving between the map's panes; only clear once the pointer is outside
+    mapEl.addEventListener('dragleave', (e) => {
+      if (!mapEl.contains(e.relatedTarget)) mapEl.classList.remove('gpx-drop-target');
+    });
+    mapEl.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      mapEl.classList.remove('gpx-drop-target');
+      importFiles(Array.from(e.dataTransfer.files));
+    });
+
     // Fit button
     const fit = document.createElement('button');
     fit.className = 'gpx-btn';
@@ -895,6 +5158,104 @@
       updateTrackList();
     };
 
+    // Settings (incl. the track cache)
+    const cacheBtn = document.createElement('button');
+    cacheBtn.className = 'gpx-btn';
+    cacheBtn.innerHTML = '&#9881;';
+    cacheBtn.title = 'Settings';
+    cacheBtn.onclick = (e) => {
+      e.stopPropagation();
+      if (popupMenuEl) closePopupMenu();
+      else showSettingsMenu(cacheBtn);
+    };
+
+    // Export button
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'gpx-btn';
+    exportBtn.textContent = 'Export';
+    exportBtn.onclick = (e) => {
+      e.stopPropagation();
+      if (popupMenuEl) closePopupMenu();
+      else showExportMenu(exportBtn);
+    };
+
+    // Heatmap toggle + season filter
+    const heatBtn = document.createElement('button');
+    heatBtn.className = 'gpx-btn';
+    heatBtn.innerHTML = '<span class="gpx-dot off" style="background:#d7191c"></span>Heatmap';
+    const heatSelect = document.createElement('select');
+    heatSelect.className = 'gpx-btn gpx-heat-season';
+    heatSelect.style.display = 'none';
+    const fillHeatSeasons = () => {
+      heatSelect.innerHTML = '<option value="">All seasons</option>' +
+        heatSeasonOptions().map(s => `<option value="${s}"${s === heatSeason ? ' selected' : ''}>${s}</option>`).join('');
+    };
+    fillHeatSeasons();
+    heatSelect.onclick = (e) => e.stopPropagation();
+    heatSelect.onchange = () => {
+      heatSeason = heatSelect.value;
+      refreshHeatmap();
+    };
+    heatBtn.onclick = (e) => {
+      e.stopPropagation();
+      const on = toggleHeatmap();
+      heatBtn.querySelector('.gpx-dot').classList.toggle('off', !on);
+      if (on) fillHeatSeasons();
+      heatSelect.style.display = on ? '' : 'none';
+    };
+
+    // Trailhead markers toggle
+    const trailheadBtn = document.createElement('button');
+    trailheadBtn.className = 'gpx-btn';
+    trailheadBtn.innerHTML = '<span class="gpx-dot off" style="background:#1a66cc"></span>Trailheads';
+    trailheadBtn.onclick = (e) => {
+      e.stopPropagation();
+      const on = toggleTrailheads();
+      trailheadBtn.querySelector('.gpx-dot').classList.toggle('off', !on);
+    };
+
+    // Tour tick-list toggle
+    const toursBtn = document.createElement('button');
+    toursBtn.className = 'gpx-btn';
+    toursBtn.innerHTML = '<span class="gpx-dot off" style="background:#00B050"></span>Tours';
+    toursBtn.title = 'topptur.guide tours, colored by ATES \u2014 filled ones you have not done yet';
+    toursBtn.onclick = (e) => {
+      e.stopPropagation();
+      const on = toggleTourLayer();
+      toursBtn.querySelector('.gpx-dot').classList.toggle('off', !on);
+    };
+
+    // Color mode button (cycles plain / slope / speed / elevation)
+    const colorBtn = document.createElement('button');
+    colorBtn.className = 'gpx-btn';
+    colorBtn.textContent = `Color: ${COLOR_MODE_LABELS[colorMode]}`;
+    colorBtn.onclick = (e) => {
+      e.stopPropagation();
+      setColorMode(COLOR_MODES[(COLOR_MODES.indexOf(colorMode) + 1) % COLOR_MODES.length]);
+      colorBtn.textContent = `Color: ${COLOR_MODE_LABELS[colorMode]}`;
+    };
+
+    // Route planner toggle
+    const planBtn = document.createElement('button');
+    planBtn.className = 'gpx-btn';
+    planBtn.textContent = 'Plan';
+    planBtn.title = 'Draw a route and estimate its time from your pace';
+    planBtn.onclick = (e) => {
+      e.stopPropagation();
+      if (planner) closeRoutePlanner();
+      else openRoutePlanner();
+    };
+
+    // Compare mode toggle (adds checkboxes to the track list)
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'gpx-btn';
+    compareBtn.innerHTML = '<span class="gpx-dot off" style="background:#2b83ba"></span>Compare';
+    compareBtn.onclick = (e) => {
+      e.stopPropagation();
+      setCompareMode(!compareMode);
+      compareBtn.querySelector('.gpx-dot').classList.toggle('off', !compareMode);
+    };
+
     // Stats button
     const statsBtn = document.createElement('button');
     statsBtn.className = 'gpx-btn';
@@ -904,8 +5265,17 @@
       toggleProfileOverlay();
     };
 
+    bar.appendChild(cacheBtn);
     bar.appendChild(upload);
+    bar.appendChild(exportBtn);
+    bar.appendChild(planBtn);
     bar.appendChild(fit);
+    bar.appendChild(heatBtn);
+    bar.appendChild(heatSelect);
+    bar.appendChild(trailheadBtn);
+    bar.appendChild(toursBtn);
+    bar.appendChild(colorBtn);
+    bar.appendChild(compareBtn);
     bar.appendChild(statsBtn);
     bar.appendChild(toggleAll);
     document.body.appendChild(bar);
@@ -916,66 +5286,127 @@
     document.body.appendChild(trackListEl);
   }
 
+  function listGroupForTrack(t) {
+    return t.routeId ? ROUTES_GROUP : t.uploadId ? UPLOADS_GROUP : (getSeason(t.date) || 'Other');
+  }
+
   function updateTrackList() {
     if (!trackListEl) return;
-    trackListEl.innerHTML = '';
+    // Keep the filter bar element alive so its inputs don't lose focus while typing
+    if (!filterBarEl) filterBarEl = buildFilterBar();
+    [...trackListEl.children].forEach(c => { if (c !== filterBarEl) c.remove(); });
     trackListEl.className = `gpx-tracks${panelMinimized ? ' minimized' : ''}`;
 
+    const filtering = isFilterActive();
+    const listed = filtering ? tracks.filter(trackMatchesFilter) : tracks;
+
     // Panel header (always visible)
     const visibleCount = tracks.filter(t => t.visible).length;
     const panelHeader = document.createElement('div');
     panelHeader.className = 'gpx-panel-header';
     panelHeader.innerHTML =
-      `<span class="gpx-panel-title">Tracks (${visibleCount}/${tracks.length})</span>` +
+      `<span class="gpx-panel-title">Tracks (${visibleCount}/${tracks.length})` +
+      (filtering ? ` <span class="gpx-filter-count">${listed.length} match${listed.length === 1 ? '' : 'es'}</span>` : '') +
+      '</span>' +
+      (loadProgress
+        ? `<span class="gpx-progress"><span class="gpx-progress-bar" style="width:${Math.round(loadProgress.done / Math.max(1, loadProgress.total) * 100)}%"></span>` +
+          `<span class="gpx-progress-text">Loading ${loadProgress.done}/${loadProgress.total}\u2026</span></span>`
+        : '') +
       `<span class="gpx-panel-toggle${panelMinimized ? ' minimized' : ''}">&#9660;</span>`;
     panelHeader.onclick = () => {
       panelMinimized = !panelMinimized;
       updateTrackList();
     };
-    trackListEl.appendChild(panelHeader);
+    trackListEl.insertBefore(panelHeader, trackListEl.firstChild);
+    if (!filterBarEl.parentNode) trackListEl.appendChild(filterBarEl);
 
     // Panel body (hidden when minimized)
     const body = document.createElement('div');
     body.className = 'gpx-panel-body';
 
     // Sort tracks by date (newest first), undated at end
-    const sorted = [...tracks].sort((a, b) => {
+    const sorted = [...listed].sort((a, b) => {
       if (!a.date && !b.date) return 0;
       if (!a.date) return 1;
       if (!b.date) return -1;
       return b.date - a.date;
     });
 
-    // Group by season
+    // Group by season (uploads and planned routes get their own groups)
     const groups = {};
     sorted.forEach(t => {
-      const season = getSeason(t.date) || 'Other';
+      const season = listGroupForTrack(t);
       if (!groups[season]) groups[season] = [];
       groups[season].push(t);
     });
 
-    // Sort season keys (newest first)
+    // Sort season keys (routes and uploads first, then newest first)
     const seasonKeys = Object.keys(groups).sort((a, b) => {
+      if (a === ROUTES_GROUP) return -1;
+      if (b === ROUTES_GROUP) return 1;
+      if (a === UPLOADS_GROUP) return -1;
+      if (b === UPLOADS_GROUP) return 1;
       if (a === 'Other') return 1;
       if (b === 'Other') return -1;
       return parseInt(b) - parseInt(a);
     });
 
-    const seasonStats = computeSeasonStats();
+    // Season totals are ours unless the filter picks a person
+    const seasonStats = computeSeasonStats(listed.filter(t => !t.uploadId && (trackFilter.person || !t.sourceId)));
+    if (groups[UPLOADS_GROUP]) seasonStats[UPLOADS_GROUP] = sumTrackStats(groups[UPLOADS_GROUP]);
+
+    if (failedTracks.size > 0) {
+      const failed = [...failedTracks];
+      const failedEl = document.createElement('div');
+      failedEl.className = 'gpx-failed';
+      failedEl.innerHTML =
+        `<div class="gpx-failed-title">${failed.length} file${failed.length === 1 ? '' : 's'} failed to load` +
+        '<button data-action="retry-all">Retry all</button></div>' +
+        failed.map((t, i) => `
+          <div class="gpx-failed-item" title="${escapeHtml(t.filename)}: ${escapeHtml(t._loadError)}">
+            <span class="gpx-track-name">${escapeHtml(t.name)}</span>
+            <button data-i="${i}" title="Retry">&#8635;</button>
+          </div>`).join('');
+      failedEl.querySelector('[data-action="retry-all"]').onclick = () => loadTracksConcurrently(failed);
+      failedEl.querySelectorAll('[data-i]').forEach(btn => {
+        btn.onclick = () => loadTracksConcurrently([failed[+btn.dataset.i]]);
+      });
+      body.appendChild(failedEl);
+    }
+
+    if (compareMode) {
+      const n = compareTracks().length;
+      const compareBtn = document.createElement('button');
+      compareBtn.className = 'gpx-btn gpx-load-more gpx-compare-go';
+      compareBtn.textContent = n < 2 ? 'Tick two or more loaded tracks to compare' : `Compare ${n} tracks`;
+      compareBtn.disabled = n < 2;
+      compareBtn.onclick = showCompareOverlay;
+      body.appendChild(compareBtn);
+    }
+
+    if (filtering && seasonKeys.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'gpx-filter-empty';
+      empty.textContent = 'No tracks match the filter';
+      body.appendChild(empty);
+    }
 
     seasonKeys.forEach(season => {
-      const isCollapsed = !expandedSeasons.has(season);
+      // While filtering, seasons with matches start expanded
+      const isCollapsed = filtering ? filterCollapsedSeasons.has(season) : !expandedSeasons.has(season);
       const stats = seasonStats[season];
 
       const header = document.createElement('div');
       header.className = 'gpx-year';
       const statsLine = stats
-        ? `<span class="gpx-season-stats">${stats.trips} trips &middot; ${stats.elevGain.toLocaleString()}m &middot; ${Math.round(stats.distance)} km</span>`
+        ? `<span class="gpx-season-stats"${stats.summaryTrips ? ` title="${summaryNote(stats.summaryTrips)}"` : ''}>` +
+          `${stats.trips} trips &middot; ${stats.summaryTrips ? '&asymp;' : ''}${stats.elevGain.toLocaleString()}m &middot; ${Math.round(stats.distance)} km</span>`
         : '';
       header.innerHTML = `<span class="gpx-year-arrow${isCollapsed ? ' collapsed' : ''}">&#9660;</span> ${season} ${statsLine}`;
       header.onclick = () => {
-        if (expandedSeasons.has(season)) expandedSeasons.delete(season);
-        else expandedSeasons.add(season);
+        const set = filtering ? filterCollapsedSeasons : expandedSeasons;
+        if (set.has(season)) set.delete(season);
+        else set.add(season);
         updateTrackList();
       };
       body.appendChild(header);
@@ -990,10 +5421,35 @@
         const dateStr = formatShortDate(t.date);
         const incompleteTag = (t.stats && t.stats.incomplete) ? '<span class="gpx-incomplete" title="Incomplete recording">!</span>' : '';
         const loadingTag = t._loading ? ' <span class="gpx-loading">\u2026</span>' : '';
+        const canCompare = compareMode && t.points && t.stats;
         item.innerHTML =
+          (canCompare ? `<input type="checkbox" class="gpx-compare-check" title="Compare"${compareSet.has(t) ? ' checked' : ''}>` : '') +
           `<span class="gpx-dot${(t.visible && !isPlaceholder) ? '' : ' off'}" style="background:${t.color}"></span>` +
           (dateStr ? `<span class="gpx-track-date${t.visible ? '' : ' off'}">${dateStr}</span>` : '') +
-          `<span class="gpx-track-name${t.visible ? '' : ' off'}">${t.name}${incompleteTag}${loadingTag}</span>`;
+          `<span class="gpx-track-name${t.visible ? '' : ' off'}">${filtering ? highlightName(t.name) : escapeHtml(t.name)}${incompleteTag}${loadingTag}</span>` +
+          (t.sourceId ? `<span class="gpx-track-person">${escapeHtml(t.sourceId)}</span>` : '') +
+          ((t.uploadId || t.routeId)
+            ? '<span class="gpx-item-actions"><button data-action="rename" title="Rename">&#9998;</button>' +
+              '<button data-action="delete" title="Delete">&times;</button></span>'
+            : '');
+
+        if (t.uploadId) {
+          item.querySelector('[data-action="rename"]').onclick = (e) => { e.stopPropagation(); renameUpload(t); };
+          item.querySelector('[data-action="delete"]').onclick = (e) => { e.stopPropagation(); removeUpload(t); };
+        } else if (t.routeId) {
+          item.querySelector('[data-action="rename"]').onclick = (e) => { e.stopPropagation(); renameRoute(t); };
+          item.querySelector('[data-action="delete"]').onclick = (e) => { e.stopPropagation(); removeRoute(t); };
+        }
+
+        if (canCompare) {
+          const check = item.querySelector('.gpx-compare-check');
+          check.onclick = (e) => e.stopPropagation();
+          check.onchange = () => {
+            if (check.checked) compareSet.add(t);
+            else compareSet.delete(t);
+            updateTrackList();
+          };
+        }
 
         const dot = item.querySelector('.gpx-dot');
         dot.onclick = (e) => {
@@ -1006,16 +5462,7 @@
 
         item.onclick = () => {
           if (isPlaceholder) {
-            if (t._loading || !_activeBaseUrl) return;
-            t._loading = true;
-            updateTrackList();
-            loadGpxForTrack(t, _activeBaseUrl, true)
-              .then(() => {
-                showTrackDetail(t);
-                updateTrackList();
-                if (t.layer && mapRef) mapRef.fitBounds(t.layer.getBounds().pad(0.1));
-              })
-              .catch(() => { t._loading = false; updateTrackList(); });
+            focusTrack(t);
             return;
           }
           if (selectedTrack === t) {
@@ -1037,8 +5484,8 @@
     });
 
     // "Load older tracks" button
-    const unloadedCount = tracks.filter(t => !t.gpxLoaded).length;
-    if (unloadedCount > 0 && _activeBaseUrl) {
+    const unloadedCount = tracks.filter(t => !t.gpxLoaded && !t._loading && t.baseUrl).length;
+    if (unloadedCount > 0) {
       const loadMoreBtn = document.createElement('button');
       loadMoreBtn.className = 'gpx-btn gpx-load-more';
       if (loadingOlderTracks) {
@@ -1050,15 +5497,12 @@
           if (loadingOlderTracks || olderTracksLoaded) return;
           loadingOlderTracks = true;
           updateTrackList();
-          const pending = tracks.filter(t => !t.gpxLoaded);
-          (async () => {
-            for (const t of pending) {
-              await loadGpxForTrack(t, _activeBaseUrl, false);
-            }
-            olderTracksLoaded = true;
+          const pending = tracks.filter(t => !t.gpxLoaded && !t._loading && t.baseUrl);
+          loadTracksConcurrently(pending).then(() => {
+            olderTracksLoaded = pending.every(t => t.gpxLoaded);
             loadingOlderTracks = false;
             updateTrackList();
-          })();
+          });
         };
       }
       body.appendChild(loadMoreBtn);
@@ -1071,5 +5515,7 @@
       body.scrollTop = trackListEl._savedScroll || 0;
       body.onscroll = () => { trackListEl._savedScroll = body.scrollTop; };
     }
+
+    scheduleSaveState();
   }
 })();
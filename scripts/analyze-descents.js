@@ -6,6 +6,9 @@
  * Analyzes both local GPX tracks and topptur.guide tour coordinates.
  *
  * Usage: node scripts/analyze-descents.js [--gpx-only] [--tours-only] [--top N]
+ *
+ * A source that is skipped (--gpx-only / --tours-only) or can't be fetched keeps its
+ * entries from the existing descent-analysis.json instead of being dropped.
  */
 
 const fs = require('fs');
@@ -51,6 +54,11 @@ function httpsGet(url) {
   });
 }
 
+// [lat, lon] rounded to ~1 m, for locating a segment on the map
+function coord(p) {
+  return [Math.round(p.lat * 1e5) / 1e5, Math.round(p.lon * 1e5) / 1e5];
+}
+
 function smoothElevation(points, window) {
   return points.map((p, i) => {
     if (p.ele === null) return null;
@@ -128,6 +136,8 @@ function findDescentSegments(smoothEle) {
 }
 
 // ── Descent Analysis ───────────────────────────────────────────
+// Segments carry startI/endI (indices into the analyzed points: GPX track points, or the
+// tour coordinates in the direction they were analyzed) and start/end [lat, lon].
 function analyzeDescentSegment(points, smoothEle, peakI, troughI) {
   let horizDistM = 0;
   for (let i = peakI + 1; i <= troughI; i++) {
@@ -149,6 +159,10 @@ function analyzeDescentSegment(points, smoothEle, peakI, troughI) {
     avgGradientDeg: Math.round(avgGradientDeg * 10) / 10,
     peakEle: Math.round(smoothEle[peakI]),
     troughEle: Math.round(smoothEle[troughI]),
+    startI: peakI,
+    endI: troughI,
+    start: coord(points[peakI]),
+    end: coord(points[troughI]),
     steepSegment,
   };
 }
@@ -200,13 +214,19 @@ function findLongestSteepSegment(points, smoothEle, peakI, troughI) {
   const totalDist = steepChunks.reduce((s, c) => s + c.dist, 0);
   const totalDrop = steepChunks.reduce((s, c) => s + c.drop, 0);
   const avgGrad = Math.atan(totalDrop / totalDist) * (180 / Math.PI);
+  const startI = steepChunks[0].startI;
+  const endI = steepChunks[steepChunks.length - 1].endI;
 
   return {
     verticalDrop: Math.round(totalDrop),
     horizDistM: Math.round(totalDist),
     avgGradientDeg: Math.round(avgGrad * 10) / 10,
-    startEle: Math.round(smoothEle[steepChunks[0].startI]),
-    endEle: Math.round(smoothEle[steepChunks[steepChunks.length - 1].endI]),
+    startEle: Math.round(smoothEle[startI]),
+    endEle: Math.round(smoothEle[endI]),
+    startI,
+    endI,
+    start: coord(points[startI]),
+    end: coord(points[endI]),
   };
 }
 
@@ -406,6 +426,15 @@ function printTable(results, topN) {
   console.log(`Showing top ${Math.min(topN, results.length)} of ${results.length} tracks with ≥${MIN_DROP_M}m descent`);
 }
 
+// Entries of one source from the current descent-analysis.json, for sources not re-analyzed
+function previousResults(outPath, source) {
+  try {
+    return JSON.parse(fs.readFileSync(outPath, 'utf-8')).filter(e => e.source === source);
+  } catch {
+    return [];
+  }
+}
+
 // ── Main ───────────────────────────────────────────────────────
 async function main() {
   const args = process.argv.slice(2);
@@ -414,20 +443,30 @@ async function main() {
   const topIdx = args.indexOf('--top');
   const topN = topIdx >= 0 ? parseInt(args[topIdx + 1]) || 30 : 30;
 
+  const outPath = path.join(repoRoot, 'descent-analysis.json');
   let allResults = [];
 
   if (!toursOnly) {
     allResults.push(...analyzeGpxTracks());
+  } else {
+    allResults.push(...previousResults(outPath, 'gpx'));
   }
 
+  let toursFetched = false;
   if (!gpxOnly) {
     try {
       const tourResults = await analyzeToppturTours();
       allResults.push(...tourResults);
+      toursFetched = true;
     } catch (err) {
       console.error('Failed to fetch topptur.guide:', err.message);
     }
   }
+  if (!toursFetched) {
+    const kept = previousResults(outPath, 'topptur');
+    if (kept.length) console.log(`Keeping ${kept.length} topptur.guide entries from the previous run`);
+    allResults.push(...kept);
+  }
 
   // Sort by score (best first)
   allResults.sort((a, b) => b.score - a.score);
@@ -435,7 +474,6 @@ async function main() {
   printTable(allResults, topN);
 
   // Write JSON output
-  const outPath = path.join(repoRoot, 'descent-analysis.json');
   fs.writeFileSync(outPath, JSON.stringify(allResults, null, 2) + '\n', 'utf-8');
   console.log(`\nWritten: descent-analysis.json (${allResults.length} entries)`);
 }
@@ -3,13 +3,15 @@
  * Pre-computes track summaries from GPX files for the recommendation page.
  *
  * Reads all .gpx files from tracks/ and generates track-summaries.json
- * with start coordinates, max elevation, ascent, distance, date, and name.
+ * with start coordinates, max elevation, ascent, distance, date, name, and a
+ * content hash the userscript uses to invalidate its IndexedDB cache.
  *
  * Usage: node scripts/build-track-summaries.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const repoRoot = path.resolve(__dirname, '..');
 const tracksDir = path.join(repoRoot, 'tracks');
@@ -95,6 +97,7 @@ function parseGpxSummary(filePath) {
     maxEle: maxEle === -Infinity ? null : Math.round(maxEle),
     ascent: Math.round(ascent),
     distance: Math.round(distance * 10) / 10,
+    hash: crypto.createHash('sha1').update(text).digest('hex').slice(0, 12),
   };
 }
 